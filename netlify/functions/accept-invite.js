@@ -0,0 +1,195 @@
+// netlify/functions/accept-invite.js
+const bcrypt = require('bcryptjs');
+const { isValidTokenFormat, hashToken } = require('./lib/tokens');
+const { validatePassword } = require('./lib/passwords');
+
+exports.handler = async (event, context) => {
+  console.log('👥 Accept invite function called');
+  console.log('Method:', event.httpMethod);
+
+  // CORS headers for all responses
+  const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    console.log('✅ Handling OPTIONS preflight request');
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    console.log('❌ Method not allowed:', event.httpMethod);
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    console.log('📝 Parsing request body...');
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body);
+    } catch (parseError) {
+      console.log('❌ JSON parse error:', parseError.message);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid JSON in request body'
+        })
+      };
+    }
+
+    const { token, password, confirmPassword } = requestData;
+
+    if (!isValidTokenFormat(token)) {
+      console.log('❌ Missing or malformed invite token');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid or expired invitation link'
+        })
+      };
+    }
+
+    // Same password policy as company signup
+    const passwordErrors = validatePassword(password, confirmPassword);
+    if (passwordErrors.length > 0) {
+      console.log('❌ Password validation failed:', passwordErrors);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Validation failed',
+          details: passwordErrors
+        })
+      };
+    }
+
+    console.log('🔍 Looking up invite token...');
+    const tokenHash = hashToken(token);
+    const member = await findMemberByInviteToken(tokenHash);
+
+    if (!member || member.status !== 'invited' || !member.invite_expires_at ||
+        new Date(member.invite_expires_at).getTime() < Date.now()) {
+      console.log('❌ Invite token not found or expired');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid or expired invitation link'
+        })
+      };
+    }
+
+    // Hash password
+    console.log('🔐 Hashing password...');
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Activate the member and clear the token
+    console.log('💾 Activating team member...');
+    const activated = await activateMember(member.id, tokenHash, hashedPassword);
+
+    if (!activated) {
+      // Another request used the token first
+      console.log('❌ Invite token already used');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid or expired invitation link'
+        })
+      };
+    }
+
+    console.log('✅ Invite accepted by:', member.email);
+
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        success: true,
+        email: member.email,
+        message: 'Your account is ready. Please sign in with your new password.'
+      })
+    };
+
+  } catch (error) {
+    console.error('💥 Accept invite error:', error);
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Internal server error. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+async function findMemberByInviteToken(tokenHash) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/CompanyUsers?invite_token_hash=eq.${tokenHash}&select=id,email,status,invite_expires_at`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const members = await response.json();
+  return members.length > 0 ? members[0] : null;
+}
+
+// Set the password and consume the invite token in one conditional update
+async function activateMember(memberId, tokenHash, passwordHash) {
+  const now = new Date().toISOString();
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/CompanyUsers?id=eq.${memberId}&invite_token_hash=eq.${tokenHash}&status=eq.invited`,
+    {
+      method: 'PATCH',
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      },
+      body: JSON.stringify({
+        password_hash: passwordHash,
+        status: 'active',
+        invite_token_hash: null,
+        invite_expires_at: null,
+        accepted_at: now,
+        updated_at: now
+      })
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+  }
+
+  const updatedRows = await response.json();
+  return updatedRows.length > 0;
+}
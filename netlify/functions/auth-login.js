@@ -1,7 +1,17 @@
 // netlify/functions/auth-login.js
-const jwt = require('jsonwebtoken');
+const bcrypt = require('bcryptjs');
+const { MFA_TOKEN_TTL_SECONDS, signAccessToken, signMfaToken, verifyMfaToken } = require('./lib/auth');
+const { verifyCode, hashRecoveryCode } = require('./lib/totp');
+const { ACCESS_TOKEN_TTL_SECONDS, getClientIP, createSession } = require('./lib/sessions');
+const { buildSessionCookies } = require('./lib/cookies');
+const { checkLoginThrottle, recordFailedLogin, clearFailedLogins } = require('./lib/login-throttle');
+
+// Demo credentials - only honoured when DEMO_MODE=true
+const DEMO_MODE = process.env.DEMO_MODE === 'true';
+
+// Used when no account matches so response timing doesn't reveal which emails exist
+const DUMMY_PASSWORD_HASH = '$2a$12$8VWTFvRQGTGeXLS70.l/fec/RCxZVBLmoKodxU55ojuOOscMqhD56';
 
-// Simple demo credentials (for immediate testing)
 const DEMO_CREDENTIALS = {
   'demo@estatesales.com': {
     id: 1,
@@ -29,7 +39,6 @@ const DEMO_CREDENTIALS = {
 exports.handler = async (event, context) => {
   console.log('🔐 Auth login function called');
   console.log('Method:', event.httpMethod);
-  console.log('Body:', event.body);
 
   // CORS headers for all responses
   const corsHeaders = {
@@ -77,7 +86,13 @@ exports.handler = async (event, context) => {
       };
     }
 
-    const { email, password } = requestData;
+    // Second step of a two-factor sign in
+    if (requestData.mfaToken) {
+      return await completeMfaLogin(requestData, event, corsHeaders);
+    }
+
+    // useCookies: browser clients get the tokens only as HttpOnly cookies
+    const { email, password, useCookies } = requestData;
     console.log('📧 Login attempt for email:', email);
 
     // Input validation
@@ -105,27 +120,83 @@ exports.handler = async (event, context) => {
       };
     }
 
+    const cleanEmail = email.trim().toLowerCase();
+    const clientIP = getClientIP(event);
+
+    // Server-side throttling - checked before touching the password
+    const throttleResult = await checkLoginThrottle(cleanEmail, clientIP);
+    if (!throttleResult.allowed) {
+      console.log('❌ Login throttled:', throttleResult.reason);
+      return {
+        statusCode: 429,
+        headers: {
+          ...corsHeaders,
+          'Retry-After': String(throttleResult.retryAfter)
+        },
+        body: JSON.stringify({ 
+          error: throttleResult.reason === 'locked'
+            ? 'Too many failed attempts. This account is temporarily locked.'
+            : 'Too many sign in attempts. Please wait before trying again.',
+          retryAfter: throttleResult.retryAfter,
+          lockedUntil: throttleResult.lockedUntil
+        })
+      };
+    }
+
     // Find user
-    console.log('🔍 Looking up user in demo credentials...');
-    const user = DEMO_CREDENTIALS[email.toLowerCase()];
-    
-    if (!user) {
-      console.log('❌ User not found:', email);
-      console.log('Available emails:', Object.keys(DEMO_CREDENTIALS));
+    const user = await findUser(cleanEmail);
+
+    // Check password (always run bcrypt so unknown emails take as long as known ones)
+    console.log('🔑 Checking password...');
+    const passwordValid = await checkPassword(user, password);
+
+    if (!user || !passwordValid) {
+      console.log('❌ Invalid credentials for:', cleanEmail);
+      const failure = await recordFailedLogin(cleanEmail, clientIP);
+      
+      if (failure.lockedUntil) {
+        return {
+          statusCode: 429,
+          headers: {
+            ...corsHeaders,
+            'Retry-After': String(failure.retryAfter)
+          },
+          body: JSON.stringify({ 
+            error: 'Too many failed attempts. This account is temporarily locked.',
+            retryAfter: failure.retryAfter,
+            lockedUntil: failure.lockedUntil
+          })
+        };
+      }
+
       return {
         statusCode: 401,
         headers: corsHeaders,
         body: JSON.stringify({ 
-          error: 'Invalid credentials - user not found' 
+          error: 'Invalid email or password',
+          attemptsRemaining: failure.attemptsRemaining
         })
       };
     }
 
-    console.log('✅ User found:', user.companyName);
+    console.log('✅ Password verified for:', user.companyName);
+
+    // Check email verification
+    if (user.accountStatus === 'pending_verification' || !user.emailVerified) {
+      console.log('❌ Email not verified:', cleanEmail);
+      return {
+        statusCode: 403,
+        headers: corsHeaders,
+        body: JSON.stringify({ 
+          error: 'Please verify your email address before signing in. Check your inbox for the verification link.',
+          verificationRequired: true
+        })
+      };
+    }
 
     // Check if account is active
     if (!user.isActive) {
-      console.log('❌ Account inactive:', email);
+      console.log('❌ Account inactive:', cleanEmail);
       return {
         statusCode: 403,
         headers: corsHeaders,
@@ -135,82 +206,400 @@ exports.handler = async (event, context) => {
       };
     }
 
-    // Simple password check
-    console.log('🔑 Checking password...');
-    console.log('Expected password:', user.password);
-    console.log('Provided password:', password);
-    
-    if (user.password !== password) {
-      console.log('❌ Password mismatch');
+    // Two-factor accounts get a short-lived "mfa pending" token instead of a session
+    if (user.totpEnabled) {
+      console.log('🔐 Two-factor verification required for:', user.companyName);
       return {
-        statusCode: 401,
+        statusCode: 200,
         headers: corsHeaders,
-        body: JSON.stringify({ 
-          error: 'Invalid credentials - password mismatch' 
+        body: JSON.stringify({
+          success: false,
+          mfaRequired: true,
+          mfaToken: signMfaToken(user),
+          expiresIn: MFA_TOKEN_TTL_SECONDS,
+          message: 'Enter the code from your authenticator app'
         })
       };
     }
 
-    console.log('✅ Password verified successfully');
+    return await issueLogin(user, event, useCookies === true, corsHeaders);
 
-    // Generate JWT token
-    console.log('🎫 Generating JWT token...');
-    
-    const jwtSecret = process.env.JWT_SECRET || 'demo-secret-key-12345';
-    console.log('🔐 Using JWT Secret:', jwtSecret.substring(0, 10) + '...');
+  } catch (error) {
+    console.error('💥 Login function error:', error);
+    console.error('Error stack:', error.stack);
     
-    const tokenPayload = {
-      userId: user.id,
-      email: email,
-      companyName: user.companyName,
-      subscriptionStatus: user.subscriptionStatus,
-      iat: Math.floor(Date.now() / 1000),
-      exp: Math.floor(Date.now() / 1000) + (24 * 60 * 60) // 24 hours
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({ 
+        error: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
     };
+  }
+};
 
-    console.log('Token payload:', tokenPayload);
+// Create the session and tokens for a fully authenticated user
+async function issueLogin(user, event, useCookies, corsHeaders) {
+  // Create server-side session (demo accounts stay stateless)
+  let session = null;
+  if (!user.isDemo) {
+    console.log('💾 Creating session...');
+    session = await createSession(user.id, event, user.memberId || null);
+  }
 
-    const token = jwt.sign(tokenPayload, jwtSecret);
-    console.log('✅ JWT token generated:', token.substring(0, 20) + '...');
+  // Generate JWT token
+  console.log('🎫 Generating JWT token...');
+  
+  const accessTokenTtl = user.isDemo ? 24 * 60 * 60 : ACCESS_TOKEN_TTL_SECONDS;
+  
+  const token = signAccessToken(user, {
+    sessionId: session ? session.sessionId : null,
+    demo: user.isDemo,
+    ttlSeconds: accessTokenTtl
+  });
+  console.log('✅ JWT token generated');
 
-    // Prepare user data
-    const userData = {
-      id: user.id,
-      email: email,
-      companyName: user.companyName,
-      subscriptionStatus: user.subscriptionStatus,
-      loginTime: new Date().toISOString()
+  // Prepare user data
+  const userData = {
+    id: user.id,
+    email: user.email,
+    companyName: user.companyName,
+    subscriptionStatus: user.subscriptionStatus,
+    role: user.role,
+    loginTime: new Date().toISOString()
+  };
+
+  // Successful sign in resets the per-email counter and eases the per-IP one
+  await clearFailedLogins(user.email, getClientIP(event));
+
+  console.log('✅ Login successful for:', user.companyName);
+
+  const response = {
+    success: true,
+    user: userData,
+    expiresIn: accessTokenTtl,
+    message: 'Login successful'
+  };
+
+  if (!useCookies) {
+    response.token = token;
+    response.refreshToken = session ? session.refreshToken : null;
+  }
+
+  return {
+    statusCode: 200,
+    headers: corsHeaders,
+    multiValueHeaders: {
+      'Set-Cookie': buildSessionCookies({
+        accessToken: token,
+        accessTtlSeconds: accessTokenTtl,
+        refreshToken: session ? session.refreshToken : null,
+        refreshExpiresAt: session ? session.expiresAt : null
+      })
+    },
+    body: JSON.stringify(response)
+  };
+}
+
+// Verify the second factor (authenticator code or recovery code) and finish signing in
+async function completeMfaLogin(requestData, event, corsHeaders) {
+  const { mfaToken, code, recoveryCode, useCookies } = requestData;
+
+  let pending;
+  try {
+    pending = verifyMfaToken(mfaToken);
+  } catch (error) {
+    console.log('❌ Invalid or expired MFA token');
+    return {
+      statusCode: 401,
+      headers: corsHeaders,
+      body: JSON.stringify({ 
+        error: 'Your sign in session has expired. Please sign in again.',
+        mfaExpired: true
+      })
     };
+  }
 
-    console.log('✅ Login successful for:', user.companyName);
+  const clientIP = getClientIP(event);
 
-    const response = {
-      success: true,
-      user: userData,
-      token: token,
-      message: 'Login successful'
+  // Codes are throttled with the same counters as passwords
+  const throttleResult = await checkLoginThrottle(pending.email, clientIP);
+  if (!throttleResult.allowed) {
+    console.log('❌ MFA throttled:', throttleResult.reason);
+    return {
+      statusCode: 429,
+      headers: {
+        ...corsHeaders,
+        'Retry-After': String(throttleResult.retryAfter)
+      },
+      body: JSON.stringify({ 
+        error: 'Too many attempts. Please wait before trying again.',
+        retryAfter: throttleResult.retryAfter,
+        lockedUntil: throttleResult.lockedUntil
+      })
     };
+  }
 
-    console.log('📤 Sending response:', response);
+  const user = await findUserById(pending.userId, pending.memberId || null);
 
+  if (!user || !user.totpEnabled || !user.isActive) {
     return {
-      statusCode: 200,
+      statusCode: 401,
       headers: corsHeaders,
-      body: JSON.stringify(response)
+      body: JSON.stringify({ error: 'Your sign in session has expired. Please sign in again.', mfaExpired: true })
     };
+  }
+
+  let verified = false;
+
+  if (recoveryCode) {
+    // Recovery codes are single-use
+    const codeHash = hashRecoveryCode(recoveryCode);
+    if (user.recoveryCodeHashes.includes(codeHash)) {
+      const remaining = user.recoveryCodeHashes.filter(hash => hash !== codeHash);
+      verified = await updateMfaState(user, { recovery_code_hashes: remaining }, { recovery_code_hashes: user.recoveryCodeHashes });
+      console.log('🔑 Recovery code used,', remaining.length, 'remaining');
+    }
+  } else {
+    const step = verifyCode(user.totpSecret, code, user.totpLastUsedStep);
+    if (step !== null) {
+      // Recording the step stops the same code being replayed
+      verified = await updateMfaState(user, { totp_last_used_step: step });
+    }
+  }
+
+  if (!verified) {
+    console.log('❌ Invalid second factor for:', user.email);
+    const failure = await recordFailedLogin(pending.email, clientIP);
+
+    if (failure.lockedUntil) {
+      return {
+        statusCode: 429,
+        headers: {
+          ...corsHeaders,
+          'Retry-After': String(failure.retryAfter)
+        },
+        body: JSON.stringify({ 
+          error: 'Too many failed attempts. This account is temporarily locked.',
+          retryAfter: failure.retryAfter,
+          lockedUntil: failure.lockedUntil
+        })
+      };
+    }
 
-  } catch (error) {
-    console.error('💥 Login function error:', error);
-    console.error('Error stack:', error.stack);
-    
     return {
-      statusCode: 500,
+      statusCode: 401,
       headers: corsHeaders,
       body: JSON.stringify({ 
-        error: 'Internal server error',
-        details: error.message,
-        stack: error.stack
+        error: 'Invalid verification code',
+        attemptsRemaining: failure.attemptsRemaining
       })
     };
   }
-};
+
+  return await issueLogin(user, event, useCookies === true, corsHeaders);
+}
+
+// Look up a user by email, returning a normalized record or null
+async function findUser(email) {
+  if (DEMO_MODE && DEMO_CREDENTIALS[email]) {
+    console.log('🧪 Demo mode login for:', email);
+    const demoUser = DEMO_CREDENTIALS[email];
+    return {
+      id: demoUser.id,
+      email: email,
+      companyName: demoUser.companyName,
+      subscriptionStatus: demoUser.subscriptionStatus,
+      role: 'owner',
+      accountStatus: 'active',
+      emailVerified: true,
+      isActive: demoUser.isActive,
+      isDemo: true,
+      demoPassword: demoUser.password
+    };
+  }
+
+  console.log('🔍 Looking up company in database...');
+  const company = await findCompanyByEmail(email);
+  if (company) {
+    return normalizeCompany(company);
+  }
+
+  // Not a company owner - try the team members
+  const member = await findMemberBy(`email=eq.${encodeURIComponent(email)}`);
+  if (!member) {
+    return null;
+  }
+
+  const memberCompany = await findCompanyById(member.company_id);
+  return memberCompany ? normalizeMember(member, memberCompany) : null;
+}
+
+// Reload a user from the ids carried in a token
+async function findUserById(companyId, memberId) {
+  const company = await findCompanyById(companyId);
+  if (!company) {
+    return null;
+  }
+
+  if (!memberId) {
+    return normalizeCompany(company);
+  }
+
+  const member = await findMemberBy(`id=eq.${encodeURIComponent(memberId)}&company_id=eq.${encodeURIComponent(companyId)}`);
+  return member ? normalizeMember(member, company) : null;
+}
+
+// Map a Companies row to the user record used during sign in
+function normalizeCompany(company) {
+  return {
+    id: company.id,
+    memberId: null,
+    email: company.email,
+    companyName: company.company_name,
+    subscriptionStatus: company.subscription_status || 'inactive',
+    role: 'owner',
+    accountStatus: company.account_status,
+    emailVerified: company.email_verified === true,
+    isActive: !['suspended', 'deactivated'].includes(company.account_status),
+    passwordHash: company.password_hash,
+    totpEnabled: company.totp_enabled === true,
+    totpSecret: company.totp_secret,
+    totpLastUsedStep: company.totp_last_used_step ?? null,
+    recoveryCodeHashes: company.recovery_code_hashes || []
+  };
+}
+
+// Team members sign in to their company's account with their own role.
+// Invited members have no password until they accept.
+function normalizeMember(member, company) {
+  const companyActive = !['suspended', 'deactivated'].includes(company.account_status);
+  return {
+    id: company.id,
+    memberId: member.id,
+    email: member.email,
+    companyName: company.company_name,
+    subscriptionStatus: company.subscription_status || 'inactive',
+    role: member.role,
+    accountStatus: company.account_status,
+    emailVerified: member.status !== 'invited',
+    isActive: companyActive && member.status === 'active',
+    passwordHash: member.password_hash,
+    totpEnabled: member.totp_enabled === true,
+    totpSecret: member.totp_secret,
+    totpLastUsedStep: member.totp_last_used_step ?? null,
+    recoveryCodeHashes: member.recovery_code_hashes || []
+  };
+}
+
+// Compare the supplied password against the stored credential
+async function checkPassword(user, password) {
+  if (user && user.demoPassword) {
+    return user.demoPassword === password;
+  }
+
+  const hash = user && user.passwordHash ? user.passwordHash : DUMMY_PASSWORD_HASH;
+  const matches = await bcrypt.compare(password, hash);
+  return Boolean(user && user.passwordHash) && matches;
+}
+
+// Find company by email
+async function findCompanyByEmail(email) {
+  try {
+    const response = await fetch(
+      `${process.env.SUPABASE_URL}/rest/v1/Companies?email=eq.${encodeURIComponent(email)}&select=*`,
+      {
+        headers: {
+          'apikey': process.env.SUPABASE_ANON_KEY,
+          'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        }
+      }
+    );
+
+    if (!response.ok) {
+      throw new Error(`Database query failed: ${response.status}`);
+    }
+
+    const companies = await response.json();
+    return companies.length > 0 ? companies[0] : null;
+
+  } catch (error) {
+    console.error('Error finding company by email:', error);
+    throw error;
+  }
+}
+
+// Find company by ID
+async function findCompanyById(companyId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(companyId)}&select=*`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const companies = await response.json();
+  return companies.length > 0 ? companies[0] : null;
+}
+
+// Find a team member (CompanyUsers row) by a PostgREST filter
+async function findMemberBy(filter) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/CompanyUsers?${filter}&select=*`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const members = await response.json();
+  return members.length > 0 ? members[0] : null;
+}
+
+// Update two-factor state on the owner's or member's row. The optional match
+// filter makes the update conditional, so a recovery code can only be consumed once.
+async function updateMfaState(user, updates, match = null) {
+  let url = user.memberId
+    ? `${process.env.SUPABASE_URL}/rest/v1/CompanyUsers?id=eq.${encodeURIComponent(user.memberId)}`
+    : `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(user.id)}`;
+  if (match && match.recovery_code_hashes) {
+    url += `&recovery_code_hashes=eq.${encodeURIComponent(`{${match.recovery_code_hashes.join(',')}}`)}`;
+  }
+  if (updates.totp_last_used_step !== undefined) {
+    // Only move forward, so two concurrent requests can't both use one code
+    url += `&or=(totp_last_used_step.is.null,totp_last_used_step.lt.${updates.totp_last_used_step})`;
+  }
+
+  const response = await fetch(url, {
+    method: 'PATCH',
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify(updates)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to update two-factor state: ${response.status}`);
+  }
+
+  const updated = await response.json();
+  return updated.length > 0;
+}
+
@@ -1,4 +1,8 @@
 // netlify/functions/auth-logout.js
+const { verifyAccessToken } = require('./lib/auth');
+const { revokeSession, revokeAllSessions } = require('./lib/sessions');
+const { getAuthToken, buildClearedCookies, verifyCsrf } = require('./lib/cookies');
+
 exports.handler = async (event, context) => {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
@@ -13,17 +17,56 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    // Clear the HTTP-only cookie and respond
+    const { allDevices } = JSON.parse(event.body || '{}');
+
+    // Revoke the server-side session so the access token stops working
+    const { token, source } = getAuthToken(event);
+
+    // Cookie-authenticated requests must carry the CSRF token
+    if (source === 'cookie' && !verifyCsrf(event)) {
+      return {
+        statusCode: 403,
+        headers: {
+          'Content-Type': 'application/json',
+          'Access-Control-Allow-Origin': process.env.URL || '*'
+        },
+        body: JSON.stringify({ error: 'Invalid CSRF token' })
+      };
+    }
+
+    if (token) {
+      let decoded = null;
+      try {
+        // An expired access token can still be used to sign out
+        decoded = verifyAccessToken(token, { ignoreExpiration: true });
+      } catch (error) {
+        console.log('Invalid token in logout request');
+      }
+
+      if (decoded && !decoded.demo) {
+        if (allDevices === true) {
+          await revokeAllSessions(decoded.userId, decoded.memberId || null);
+          console.log('All sessions revoked for company:', decoded.userId);
+        } else if (decoded.sid) {
+          await revokeSession(decoded.sid);
+          console.log('Session revoked:', decoded.sid);
+        }
+      }
+    }
+
+    // Clear the session cookies and respond
     return {
       statusCode: 200,
       headers: {
         'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': process.env.URL || '*',
-        'Set-Cookie': 'auth_token=; HttpOnly; Secure; SameSite=Strict; Max-Age=0; Path=/'
+        'Access-Control-Allow-Origin': process.env.URL || '*'
+      },
+      multiValueHeaders: {
+        'Set-Cookie': buildClearedCookies()
       },
       body: JSON.stringify({
         success: true,
-        message: 'Logged out successfully'
+        message: allDevices === true ? 'Signed out of all devices' : 'Logged out successfully'
       })
     };
 
@@ -0,0 +1,210 @@
+// netlify/functions/auth-refresh.js
+const { signAccessToken } = require('./lib/auth');
+const { ACCESS_TOKEN_TTL_SECONDS, rotateSession, revokeSession } = require('./lib/sessions');
+const { getRefreshTokenCookie, getCsrfCookie, buildSessionCookies, buildClearedCookies, verifyCsrf } = require('./lib/cookies');
+
+exports.handler = async (event, context) => {
+  console.log('🔄 Auth refresh function called');
+
+  // CORS headers for all responses
+  const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid JSON in request body'
+        })
+      };
+    }
+
+    // Refresh token from the body (API clients) or the HttpOnly cookie (browser)
+    const cookieRefreshToken = requestData.refreshToken ? null : getRefreshTokenCookie(event);
+    const usingCookies = Boolean(cookieRefreshToken);
+
+    if (usingCookies && !verifyCsrf(event)) {
+      console.log('❌ CSRF token missing or invalid');
+      return {
+        statusCode: 403,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Invalid CSRF token' })
+      };
+    }
+
+    // Rotate the refresh token
+    const rotateResult = await rotateSession(requestData.refreshToken || cookieRefreshToken, event);
+    if (!rotateResult.success) {
+      console.log('❌ Refresh failed:', rotateResult.error);
+      return {
+        statusCode: 401,
+        headers: corsHeaders,
+        multiValueHeaders: usingCookies ? { 'Set-Cookie': buildClearedCookies() } : undefined,
+        body: JSON.stringify({ error: rotateResult.error })
+      };
+    }
+
+    const session = rotateResult.session;
+
+    // Reload the company so the new token reflects current status
+    const company = await findCompanyById(session.company_id);
+    if (!company || !company.email_verified || ['suspended', 'deactivated'].includes(company.account_status)) {
+      console.log('❌ Company no longer allowed to sign in:', session.company_id);
+      await revokeSession(session.id);
+      return {
+        statusCode: 401,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Account is not active' })
+      };
+    }
+
+    const user = {
+      id: company.id,
+      email: company.email,
+      companyName: company.company_name,
+      subscriptionStatus: company.subscription_status || 'inactive',
+      role: 'owner'
+    };
+
+    // Team member sessions pick up role changes and removals here
+    if (session.member_id) {
+      const member = await findMemberById(session.member_id, company.id);
+      if (!member || member.status !== 'active') {
+        console.log('❌ Team member no longer active:', session.member_id);
+        await revokeSession(session.id);
+        return {
+          statusCode: 401,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Account is not active' })
+        };
+      }
+
+      user.memberId = member.id;
+      user.email = member.email;
+      user.role = member.role;
+    }
+
+    const token = signAccessToken(user, {
+      sessionId: session.id,
+      ttlSeconds: ACCESS_TOKEN_TTL_SECONDS
+    });
+    console.log('✅ Session refreshed for:', company.company_name);
+
+    const response = {
+      success: true,
+      expiresIn: ACCESS_TOKEN_TTL_SECONDS,
+      user: {
+        id: user.id,
+        email: user.email,
+        companyName: user.companyName,
+        subscriptionStatus: user.subscriptionStatus,
+        role: user.role
+      }
+    };
+
+    if (usingCookies) {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        multiValueHeaders: {
+          'Set-Cookie': buildSessionCookies({
+            accessToken: token,
+            accessTtlSeconds: ACCESS_TOKEN_TTL_SECONDS,
+            refreshToken: rotateResult.refreshToken,
+            refreshExpiresAt: session.expires_at,
+            csrfToken: getCsrfCookie(event)
+          })
+        },
+        body: JSON.stringify(response)
+      };
+    }
+
+    response.token = token;
+    response.refreshToken = rotateResult.refreshToken;
+
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify(response)
+    };
+
+  } catch (error) {
+    console.error('💥 Refresh function error:', error);
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Internal server error',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+// Find company by ID
+async function findCompanyById(companyId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${companyId}&select=id,email,company_name,subscription_status,account_status,email_verified`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const companies = await response.json();
+  return companies.length > 0 ? companies[0] : null;
+}
+
+// Find a team member within a company
+async function findMemberById(memberId, companyId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/CompanyUsers?id=eq.${encodeURIComponent(memberId)}&company_id=eq.${encodeURIComponent(companyId)}&select=id,email,role,status`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const members = await response.json();
+  return members.length > 0 ? members[0] : null;
+}
@@ -1,86 +1,61 @@
 // netlify/functions/auth-verify.js
-const jwt = require('jsonwebtoken');
+const { authenticate, AuthConfigError } = require('./lib/auth');
 
 exports.handler = async (event, context) => {
+  const headers = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': process.env.URL || '*'
+  };
+
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
       statusCode: 405,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': process.env.URL || '*'
-      },
+      headers: headers,
       body: JSON.stringify({ error: 'Method not allowed' })
     };
   }
 
   try {
-    // Get token from header or body
-    const authHeader = event.headers.authorization;
+    // Token from header or session cookie, falling back to the body
     const { token } = JSON.parse(event.body || '{}');
-    
-    const jwtToken = authHeader?.startsWith('Bearer ') 
-      ? authHeader.substring(7) 
-      : token;
+    const authResult = await authenticate(event, { fallbackToken: token });
 
-    if (!jwtToken) {
+    if (!authResult.success) {
       return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': process.env.URL || '*'
-        },
+        statusCode: authResult.statusCode,
+        headers: headers,
         body: JSON.stringify({ 
-          error: 'No token provided' 
+          error: authResult.error 
         })
       };
     }
 
-    // Verify token
-    const decoded = jwt.verify(jwtToken, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
-    
-    // Check if token is expired
-    if (decoded.exp < Math.floor(Date.now() / 1000)) {
-      return {
-        statusCode: 401,
-        headers: {
-          'Content-Type': 'application/json',
-          'Access-Control-Allow-Origin': process.env.URL || '*'
-        },
-        body: JSON.stringify({ 
-          error: 'Token expired' 
-        })
-      };
-    }
+    const user = authResult.user;
 
     // Return user information
     return {
       statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': process.env.URL || '*'
-      },
+      headers: headers,
       body: JSON.stringify({
         valid: true,
         user: {
-          id: decoded.userId,
-          email: decoded.email,
-          companyName: decoded.companyName,
-          subscriptionStatus: decoded.subscriptionStatus
+          id: user.userId,
+          email: user.email,
+          companyName: user.companyName,
+          subscriptionStatus: user.subscriptionStatus,
+          role: user.role
         }
       })
     };
 
   } catch (error) {
-    // Token is invalid
+    console.error('Token verification error:', error);
     return {
-      statusCode: 401,
-      headers: {
-        'Content-Type': 'application/json',
-        'Access-Control-Allow-Origin': process.env.URL || '*'
-      },
+      statusCode: error instanceof AuthConfigError ? 500 : 401,
+      headers: headers,
       body: JSON.stringify({ 
-        error: 'Invalid token' 
+        error: error instanceof AuthConfigError ? 'Authentication is not configured' : 'Invalid token' 
       })
     };
   }
@@ -0,0 +1,65 @@
+// netlify/functions/billing-portal.js
+// Opens the Stripe Customer Portal so subscribers can update cards, view
+// invoices and cancel on their own. Changes made there come back through
+// the customer.subscription.* events in stripe-webhook.js.
+//
+// POST -> { url } of a portal session for the company's stripe_customer_id
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { withAuth } = require('./lib/auth');
+const { findBillingCompany } = require('./lib/billing');
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
+  console.log('💳 Billing portal function called');
+
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  if (user.isDemo) {
+    return respond(400, { error: 'Billing is not available for demo accounts' });
+  }
+
+  try {
+    const company = await findBillingCompany(user.userId);
+    if (!company) {
+      return respond(404, { error: 'Company not found' });
+    }
+
+    // Customers are created at first checkout
+    if (!company.stripe_customer_id) {
+      return respond(400, { error: 'No billing account yet. Your subscription and invoices will appear here after your first payment.' });
+    }
+
+    const sessionConfig = {
+      customer: company.stripe_customer_id,
+      return_url: `${process.env.URL}/company-dashboard.html#billing`
+    };
+    if (process.env.STRIPE_BILLING_PORTAL_CONFIGURATION) {
+      sessionConfig.configuration = process.env.STRIPE_BILLING_PORTAL_CONFIGURATION;
+    }
+
+    const session = await stripe.billingPortal.sessions.create(sessionConfig);
+
+    console.log(`✅ Billing portal session created for company ${company.id}`);
+    return respond(200, { success: true, url: session.url });
+
+  } catch (error) {
+    console.error('💥 Billing portal error:', error);
+    return respond(500, { error: 'Failed to open billing portal' });
+  }
+}, { corsHeaders, permission: 'billing:manage' });
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
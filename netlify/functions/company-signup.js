@@ -1,6 +1,10 @@
 // netlify/functions/company-signup.js
 const bcrypt = require('bcryptjs');
-const jwt = require('jsonwebtoken');
+const { generateVerificationToken } = require('./lib/tokens');
+const { sendTemplateEmail } = require('./lib/mailer');
+const { parseServiceAreas, expandServiceAreaZips, MAX_SERVICE_AREA_ZIPS } = require('./lib/service-areas');
+const { parseAddress } = require('./lib/addresses');
+const { validatePassword } = require('./lib/passwords');
 
 exports.handler = async (event, context) => {
   console.log('🏢 Company signup function called');
@@ -113,6 +117,8 @@ exports.handler = async (event, context) => {
       business_type: sanitizedData.businessType,
       years_in_business: sanitizedData.yearsInBusiness,
       service_areas: sanitizedData.serviceAreas,
+      service_areas_parsed: sanitizedData.serviceAreasParsed,
+      service_area_zips: sanitizedData.serviceAreaZips,
       license_number: sanitizedData.licenseNumber || null,
       insurance_carrier: sanitizedData.insuranceCarrier || null,
       website_url: sanitizedData.websiteUrl || null,
@@ -163,9 +169,12 @@ exports.handler = async (event, context) => {
     // Prepare success response
     const response = {
       success: true,
-      message: 'Account created successfully! Please check your email for verification instructions.',
+      message: emailResult.success
+        ? 'Account created successfully! Please check your email for verification instructions.'
+        : "Account created, but we couldn't send your verification email. Please use \"Resend verification email\" to try again.",
       companyId: saveResult.companyId,
-      verificationRequired: true
+      verificationRequired: true,
+      verificationEmailSent: emailResult.success
     };
 
     console.log('✅ Company signup completed successfully');
@@ -276,11 +285,9 @@ function validateSignupData(data) {
 
   // Password validation
   if (data.password) {
-    const passwordRegex = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d@$!%*?&]{8,}$/;
-    if (!passwordRegex.test(data.password)) {
-      errors.push('Password must be at least 8 characters with uppercase, lowercase, and number');
-    } else if (data.password !== data.confirmPassword) {
-      errors.push('Passwords do not match');
+    const passwordErrors = validatePassword(data.password, data.confirmPassword);
+    if (passwordErrors.length > 0) {
+      errors.push(...passwordErrors);
     } else {
       sanitized.password = data.password;
     }
@@ -318,6 +325,23 @@ function validateSignupData(data) {
     sanitized.serviceAreas = sanitizeText(data.serviceAreas, 500);
     if (sanitized.serviceAreas.length < 5) {
       errors.push('Service areas must be at least 5 characters');
+    } else {
+      // Leads are matched on the ZIP codes these expand to. "Charlotte" alone is
+      // read in the business address's state.
+      const businessState = sanitized.businessAddress ? parseAddress(sanitized.businessAddress).state : null;
+      const { unrecognized, ...parsedAreas } = parseServiceAreas(sanitized.serviceAreas, businessState);
+      sanitized.serviceAreasParsed = parsedAreas;
+      sanitized.serviceAreaZips = expandServiceAreaZips(parsedAreas);
+
+      // Same rules as service-areas.js: nothing is silently dropped
+      if (unrecognized.length > 0) {
+        console.log('❌ Unrecognized service areas:', unrecognized);
+        errors.push(`We couldn't find these service areas: ${unrecognized.join(', ')}. Check the spelling or add a state (e.g. "Charlotte, NC").`);
+      } else if (sanitized.serviceAreaZips.length === 0) {
+        errors.push('Service areas must include at least one city, county or ZIP code we recognize (e.g. "Charlotte, NC")');
+      } else if (sanitized.serviceAreaZips.length > MAX_SERVICE_AREA_ZIPS) {
+        errors.push('Service areas cover too large an area');
+      }
     }
   }
 
@@ -366,22 +390,29 @@ function validateSignupData(data) {
 // Check if user already exists
 async function checkExistingUser(email) {
   try {
-    const response = await fetch(
-      `${process.env.SUPABASE_URL}/rest/v1/Companies?email=eq.${email}&select=id`,
-      {
-        headers: {
-          'apikey': process.env.SUPABASE_ANON_KEY,
-          'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+    // Sign in is by email, so it must be unique across owners and team members
+    for (const table of ['Companies', 'CompanyUsers']) {
+      const response = await fetch(
+        `${process.env.SUPABASE_URL}/rest/v1/${table}?email=eq.${encodeURIComponent(email)}&select=id`,
+        {
+          headers: {
+            'apikey': process.env.SUPABASE_ANON_KEY,
+            'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          }
         }
+      );
+
+      if (!response.ok) {
+        throw new Error('Database query failed');
       }
-    );
 
-    if (!response.ok) {
-      throw new Error('Database query failed');
+      const users = await response.json();
+      if (users.length > 0) {
+        return true;
+      }
     }
 
-    const users = await response.json();
-    return users.length > 0;
+    return false;
 
   } catch (error) {
     console.error('Error checking existing user:', error);
@@ -437,41 +468,18 @@ async function saveCompanyToDatabase(companyData) {
   }
 }
 
-// Generate verification token
-function generateVerificationToken() {
-  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < 32; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters.length));
-  }
-  return result;
-}
-
 // Send verification email
 async function sendVerificationEmail(email, firstName, companyName, verificationToken) {
-  try {
-    // For now, we'll just log the email details
-    // In production, you'd integrate with a service like SendGrid, Mailgun, etc.
-    
-    const verificationUrl = `${process.env.URL}/company-verify-email.html?token=${verificationToken}`;
-    
-    console.log('📧 Email Details:');
-    console.log('To:', email);
-    console.log('Subject: Verify Your Estate Sale Connect Account');
-    console.log('Verification URL:', verificationUrl);
-    
-    // TODO: Implement actual email sending
-    // For now, return success
-    return {
-      success: true,
-      verificationUrl: verificationUrl
-    };
+  const verificationUrl = `${process.env.URL}/company-verify-email.html?token=${verificationToken}`;
 
-  } catch (error) {
-    console.error('Email sending error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+  const result = await sendTemplateEmail('verification', email, {
+    firstName,
+    companyName,
+    verificationUrl
+  });
+
+  return {
+    ...result,
+    verificationUrl: verificationUrl
+  };
 }
@@ -1,26 +1,121 @@
 // netlify/functions/create-checkout.js
 const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { withAuth } = require('./lib/auth');
+const { hasPermission } = require('./lib/roles');
+const { claimExclusiveHold, attachHoldSession, releaseExclusiveHold } = require('./lib/exclusive-leads');
+const { findBillingCompany, getOrCreateStripeCustomer } = require('./lib/billing');
 
-exports.handler = async (event, context) => {
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+// Role permission needed for each checkout type. Anything else is rejected.
+const CHECKOUT_PERMISSIONS = {
+  subscription: 'billing:manage',
+  exclusive: 'leads:purchase_exclusive'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
   // Only allow POST requests
   if (event.httpMethod !== 'POST') {
     return {
       statusCode: 405,
+      headers: corsHeaders,
       body: JSON.stringify({ error: 'Method not allowed' })
     };
   }
 
+  let body;
   try {
-    const { type, companyEmail, companyName, leadId } = JSON.parse(event.body);
+    body = JSON.parse(event.body || '{}');
+  } catch (error) {
+    return {
+      statusCode: 400,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Invalid JSON body' })
+    };
+  }
+
+  try {
+    const { type, leadId } = body;
+
+    const permission = CHECKOUT_PERMISSIONS[type];
+    if (!permission) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: `Invalid checkout type. Must be one of: ${Object.keys(CHECKOUT_PERMISSIONS).join(', ')}` })
+      };
+    }
+
+    if (!hasPermission(user.role, permission)) {
+      console.log('❌ Checkout not permitted for role:', user.role, type);
+      return {
+        statusCode: 403,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: type === 'exclusive'
+            ? 'Only billing members can purchase exclusive leads'
+            : 'Only billing members can manage the subscription'
+        })
+      };
+    }
+
+    // Demo accounts have no company row to bill
+    if (user.isDemo) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Checkout is not available for demo accounts' })
+      };
+    }
+
+    if (type === 'exclusive' && (!leadId || !/^[A-Za-z0-9-]{1,64}$/.test(String(leadId)))) {
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'A valid leadId is required' })
+      };
+    }
+
+    const company = await findBillingCompany(user.userId);
+    if (!company) {
+      return {
+        statusCode: 404,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: 'Company not found' })
+      };
+    }
+
+    // Reuse the company's Stripe customer so payments and invoices stay together
+    const customerId = await getOrCreateStripeCustomer(company);
+
+    let hold = null;
+    if (type === 'exclusive') {
+      // Lead must still be in its exclusive window and not held by another company
+      hold = await claimExclusiveHold(String(leadId), user.userId);
+      if (!hold.success) {
+        console.log('❌ Exclusive hold refused:', leadId, hold.error);
+        return {
+          statusCode: hold.status,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: hold.error })
+        };
+      }
+    }
 
     let sessionConfig = {
       payment_method_types: ['card'],
       mode: type === 'subscription' ? 'subscription' : 'payment',
       success_url: `${process.env.URL}/payment-success.html?session_id={CHECKOUT_SESSION_ID}`,
       cancel_url: `${process.env.URL}/company-portal.html`,
-      customer_email: companyEmail,
+      customer: customerId,
       metadata: {
-        companyName: companyName,
+        companyId: String(company.id),
+        companyName: company.company_name,
         type: type
       }
     };
@@ -32,6 +127,10 @@ exports.handler = async (event, context) => {
         quantity: 1,
       }];
       sessionConfig.metadata.subscriptionType = 'basic';
+      // Subscription events carry the company id too
+      sessionConfig.subscription_data = {
+        metadata: { companyId: String(company.id) }
+      };
       
     } else if (type === 'exclusive') {
       // Exclusive lead purchase
@@ -39,17 +138,31 @@ exports.handler = async (event, context) => {
         price: process.env.STRIPE_EXCLUSIVE_PRICE_ID,
         quantity: 1,
       }];
-      sessionConfig.metadata.leadId = leadId;
+      sessionConfig.metadata.leadId = String(leadId);
       sessionConfig.metadata.purchaseType = 'exclusive';
+      sessionConfig.cancel_url = `${process.env.URL}/company-portal.html?lead=${encodeURIComponent(leadId)}`;
+      // Checkout can't outlive the hold
+      sessionConfig.expires_at = Math.floor(hold.holdExpiresAt.getTime() / 1000);
     }
 
-    const session = await stripe.checkout.sessions.create(sessionConfig);
+    let session;
+    try {
+      session = await stripe.checkout.sessions.create(sessionConfig);
+    } catch (error) {
+      // Don't leave the lead held by a checkout that never started
+      if (hold) {
+        await releaseExclusiveHold(String(leadId), { companyId: user.userId });
+      }
+      throw error;
+    }
+
+    if (hold) {
+      await attachHoldSession(String(leadId), user.userId, session.id);
+    }
 
     return {
       statusCode: 200,
-      headers: {
-        'Content-Type': 'application/json',
-      },
+      headers: corsHeaders,
       body: JSON.stringify({ 
         sessionId: session.id,
         url: session.url 
@@ -60,10 +173,11 @@ exports.handler = async (event, context) => {
     console.error('Stripe checkout error:', error);
     return {
       statusCode: 500,
+      headers: corsHeaders,
       body: JSON.stringify({ 
         error: 'Failed to create checkout session',
         details: error.message 
       })
     };
   }
-};
+}, { corsHeaders });
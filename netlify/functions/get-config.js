@@ -1,7 +1,7 @@
 // netlify/functions/get-config.js
 // Secure configuration endpoint with proper authentication
 
-const jwt = require('jsonwebtoken');
+const { authenticate } = require('./lib/auth');
 
 exports.handler = async (event, context) => {
   // CORS headers
@@ -32,23 +32,18 @@ exports.handler = async (event, context) => {
 
   try {
     // Check if this is an authenticated request
-    const authHeader = event.headers.authorization || event.headers.Authorization;
     let isAuthenticated = false;
     let userRole = 'public';
 
-    if (authHeader && authHeader.startsWith('Bearer ')) {
-      try {
-        const token = authHeader.substring(7);
-        const decoded = jwt.verify(token, process.env.JWT_SECRET || 'your-super-secret-jwt-key-change-this-in-production');
-        
-        if (decoded.exp > Math.floor(Date.now() / 1000)) {
-          isAuthenticated = true;
-          userRole = 'company';
-        }
-      } catch (error) {
-        // Invalid token, treat as public
-        console.log('Invalid token in config request');
+    try {
+      const authResult = await authenticate(event);
+      if (authResult.success) {
+        isAuthenticated = true;
+        userRole = 'company';
       }
+    } catch (error) {
+      // Auth unavailable, treat as public
+      console.log('Authentication unavailable in config request');
     }
 
     // Rate limiting
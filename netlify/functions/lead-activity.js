@@ -0,0 +1,89 @@
+// netlify/functions/lead-activity.js
+// Records that a company reached out about a lead ("Contact Lead" in
+// company-portal.html), so the homeowner's status page can show it.
+//
+// POST { leadId } -> { success }
+const { withAuth } = require('./lib/auth');
+const { LEAD_COLUMNS, mapLeadRow, sanitizeLead } = require('./lib/leads');
+const { findBillingCompany, getEffectiveSubscriptionStatus } = require('./lib/billing');
+const { recordLeadActivity } = require('./lib/lead-activity');
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'POST, OPTIONS'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
+  if (event.httpMethod !== 'POST') {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  let leadId;
+  try {
+    leadId = String(JSON.parse(event.body || '{}').leadId || '');
+  } catch (error) {
+    return respond(400, { error: 'Invalid JSON body' });
+  }
+  if (!/^[A-Za-z0-9-]{1,64}$/.test(leadId)) {
+    return respond(400, { error: 'Invalid leadId' });
+  }
+
+  // Demo leads aren't real homeowners
+  if (user.isDemo) {
+    return respond(200, { success: true });
+  }
+
+  try {
+    const [company, lead] = await Promise.all([findBillingCompany(user.userId), findOpenLead(leadId)]);
+    if (!company) {
+      return respond(404, { error: 'Company not found' });
+    }
+    if (!lead) {
+      return respond(404, { error: 'Lead not found' });
+    }
+
+    // Only companies that can see the contact details can contact the homeowner
+    const viewer = { ...user, subscriptionStatus: getEffectiveSubscriptionStatus(company) };
+    if (!sanitizeLead(lead, viewer).hasContactAccess) {
+      return respond(403, { error: 'You do not have access to this lead\'s contact details' });
+    }
+
+    await recordLeadActivity(user.userId, [lead.id], 'contacted');
+    console.log(`📇 Company ${user.userId} contacted lead ${lead.id}`);
+    return respond(200, { success: true });
+
+  } catch (error) {
+    console.error('💥 Lead activity error:', error);
+    return respond(500, { error: 'Failed to record lead activity' });
+  }
+}, { corsHeaders, permission: 'leads:contact' });
+
+async function findOpenLead(leadId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Leads?id=eq.${encodeURIComponent(leadId)}&review_status=eq.approved&status=eq.open&select=${LEAD_COLUMNS}`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`
+      }
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Lead lookup failed: ${response.status} - ${errorText}`);
+  }
+
+  const rows = await response.json();
+  return rows.length > 0 ? mapLeadRow(rows[0]) : null;
+}
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
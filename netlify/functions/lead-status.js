@@ -0,0 +1,114 @@
+// netlify/functions/lead-status.js
+// Backs lead-status.html, the page linked from the homeowner's confirmation
+// email. The signed token in the link is the only credential.
+//
+// GET  ?token=...                                   -> lead summary and company activity
+// POST { token, action: 'update', timeline?, details? }
+// POST { token, action: 'withdraw' | 'hired' }      -> takes the lead off the portal
+const { verifyLeadStatusToken } = require('./lib/auth');
+const { validateLeadUpdate } = require('./lib/lead-intake');
+const { STATUS_ACTIONS, getHomeownerLead, updateOpenLead } = require('./lib/lead-status');
+const { countLeadActivity } = require('./lib/lead-activity');
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': process.env.URL || '*',
+  'Access-Control-Allow-Headers': 'Content-Type',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+exports.handler = async (event, context) => {
+  if (event.httpMethod === 'OPTIONS') {
+    return { statusCode: 200, headers: corsHeaders, body: '' };
+  }
+
+  if (event.httpMethod !== 'GET' && event.httpMethod !== 'POST') {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  let body = {};
+  if (event.httpMethod === 'POST') {
+    try {
+      body = JSON.parse(event.body || '{}');
+    } catch (error) {
+      return respond(400, { error: 'Invalid JSON body' });
+    }
+  }
+
+  const token = event.httpMethod === 'GET'
+    ? (event.queryStringParameters || {}).token
+    : body.token;
+
+  let leadId;
+  try {
+    leadId = verifyLeadStatusToken(token).leadId;
+  } catch (error) {
+    console.log('❌ Lead status token rejected:', error.message);
+    return respond(401, { error: 'This link is invalid or has expired. Please contact us for a new one.' });
+  }
+
+  try {
+    const lead = await getHomeownerLead(leadId);
+    if (!lead) {
+      return respond(404, { error: 'Request not found' });
+    }
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, await buildStatusResponse(lead));
+    }
+
+    const { action } = body;
+    let changes;
+    if (action === 'update') {
+      const validated = validateLeadUpdate(body);
+      if (validated.errors.length > 0) {
+        return respond(400, { error: 'Validation failed', details: validated.errors });
+      }
+      changes = validated.changes;
+    } else if (STATUS_ACTIONS[action]) {
+      changes = { status: STATUS_ACTIONS[action] };
+    } else {
+      return respond(400, { error: 'Invalid action. Must be one of: update, withdraw, hired' });
+    }
+
+    const updated = await updateOpenLead(lead.id, changes);
+    if (!updated) {
+      return respond(409, { error: 'This request is closed and can no longer be changed' });
+    }
+
+    console.log(`✅ Homeowner ${action} on lead ${lead.id}`);
+    return respond(200, await buildStatusResponse(updated));
+
+  } catch (error) {
+    console.error('💥 Lead status error:', error);
+    return respond(500, { error: 'Failed to load your request' });
+  }
+};
+
+// Never includes which companies - just how many
+async function buildStatusResponse(lead) {
+  const activity = await countLeadActivity(lead.id);
+  return {
+    success: true,
+    lead: {
+      firstName: lead.first_name,
+      propertyType: lead.property_type,
+      timeline: lead.timeline,
+      details: lead.details,
+      zipCode: lead.zip_code,
+      status: lead.status || 'open',
+      underReview: lead.review_status === 'pending_review',
+      submittedAt: lead.created_at,
+      statusUpdatedAt: lead.status_updated_at || null
+    },
+    activity
+  };
+}
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
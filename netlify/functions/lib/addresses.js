@@ -0,0 +1,135 @@
+// netlify/functions/lib/addresses.js
+// Splits a homeowner's one-line address into street, city, state and ZIP, and
+// places it on the map using the offline datasets in data/ (see lib/zip-geo.js).
+//
+// Coordinates are the ZIP centroid, or the city's average centroid when the
+// ZIP isn't in the dataset, so they locate the area rather than the house.
+const { getZipCentroid } = require('./zip-geo');
+const { STATE_NAMES, findCity, toStateCode, splitTrailingState } = require('./service-areas');
+
+const COUNTRY_PATTERN = /^(usa|us|u\.s\.a?\.?|united states( of america)?)$/i;
+
+function normalizeWords(text) {
+  return String(text || '').toLowerCase().replace(/[^a-z0-9 ]/g, ' ').replace(/\s+/g, ' ').trim();
+}
+
+// Drop `tail` from the end of `text` if the words match, ignoring case and punctuation
+function stripTrailingWords(text, tail) {
+  const words = text.split(' ');
+  const tailWords = normalizeWords(tail).split(' ');
+  if (!tail || words.length <= tailWords.length) {
+    return null;
+  }
+  const ending = normalizeWords(words.slice(-tailWords.length).join(' '));
+  return ending === tailWords.join(' ') ? words.slice(0, -tailWords.length).join(' ') : null;
+}
+
+// Average centroid of a city's ZIPs
+function getCityCentroid(city, state) {
+  const match = city && state ? findCity(city, state) : null;
+  const centroids = match ? match.zips.map(getZipCentroid).filter(Boolean) : [];
+  if (centroids.length === 0) {
+    return null;
+  }
+  return {
+    latitude: Math.round(centroids.reduce((sum, c) => sum + c.latitude, 0) / centroids.length * 10000) / 10000,
+    longitude: Math.round(centroids.reduce((sum, c) => sum + c.longitude, 0) / centroids.length * 10000) / 10000
+  };
+}
+
+/**
+ * Parse "123 Main St, Charlotte, NC 28202-1234".
+ * Returns { street, city, state, zipCode, latitude, longitude, errors }.
+ * The ZIP must end the address; otherwise fallbackZip (the form's own ZIP
+ * field, if it has one) is used. A missing city or state is filled in from the
+ * ZIP. errors is empty when there is a ZIP and its state agrees with the address.
+ */
+function parseAddress(address, fallbackZip = '') {
+  const errors = [];
+  const text = String(address || '')
+    .replace(/\s+/g, ' ')
+    .split(',')
+    .map(part => part.trim())
+    .filter(part => part && !COUNTRY_PATTERN.test(part))
+    .join(', ');
+
+  // Only a ZIP at the very end counts - "12345 Elm Rd, Charlotte NC" starts
+  // with a five-digit house number, not a ZIP
+  const zipMatch = text.match(/[\s,](\d{5})(?:-\d{4})?$/);
+  const cleanFallbackZip = String(fallbackZip || '').trim().slice(0, 5);
+  const zipCode = zipMatch ? zipMatch[1] : /^\d{5}$/.test(cleanFallbackZip) ? cleanFallbackZip : '';
+  if (!zipCode) {
+    errors.push('Address must end with a 5-digit ZIP code');
+  }
+
+  const remainder = zipMatch ? text.slice(0, zipMatch.index) : text;
+  const parts = remainder
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  const zipCentroid = zipCode ? getZipCentroid(zipCode) : null;
+  let street = '';
+  let city = '';
+  let state = null;
+
+  if (parts.length >= 2) {
+    // "Street, City, ST" or "Street, City ST"
+    const loneState = toStateCode(parts[parts.length - 1]);
+    if (loneState) {
+      parts.pop();
+      state = loneState;
+      city = parts.length >= 2 ? parts.pop() : '';
+    } else {
+      const last = splitTrailingState(parts.pop());
+      state = last.state;
+      city = last.place;
+    }
+    street = parts.join(', ');
+  } else if (parts.length === 1) {
+    // No commas. "123 Oak Ct 28202" ends in what looks like CT, so only the
+    // ZIP's own state and city are peeled off here.
+    street = parts[0];
+    if (zipCentroid) {
+      for (const stateName of [zipCentroid.state, STATE_NAMES[zipCentroid.state]]) {
+        const stripped = stripTrailingWords(street, stateName);
+        if (stripped !== null) {
+          street = stripped;
+          state = zipCentroid.state;
+          break;
+        }
+      }
+      const withoutCity = stripTrailingWords(street, zipCentroid.city);
+      if (withoutCity !== null) {
+        street = withoutCity;
+        city = zipCentroid.city;
+      }
+    } else {
+      const trailing = splitTrailingState(street);
+      street = trailing.place;
+      state = trailing.state;
+    }
+  }
+
+  if (zipCentroid && state && state !== zipCentroid.state) {
+    errors.push(`ZIP code ${zipCode} is in ${zipCentroid.state}, not ${state}`);
+  }
+
+  state = state || (zipCentroid ? zipCentroid.state : null);
+  city = city || (zipCentroid ? zipCentroid.city : '');
+  const location = zipCentroid || getCityCentroid(city, state);
+
+  return {
+    street: street.replace(/[\s,]+$/, ''),
+    city,
+    state,
+    zipCode,
+    latitude: location ? location.latitude : null,
+    longitude: location ? location.longitude : null,
+    errors
+  };
+}
+
+module.exports = {
+  parseAddress
+};
@@ -0,0 +1,220 @@
+// netlify/functions/lib/auth.js
+// Shared JWT handling for all functions.
+//
+// Every token is signed and verified here with the same secret, algorithm,
+// issuer and audience. There is no fallback secret: if JWT_SECRET isn't set,
+// signing and verification fail instead of using a guessable key.
+const jwt = require('jsonwebtoken');
+const { isSessionActive } = require('./sessions');
+const { getAuthToken, verifyCsrf } = require('./cookies');
+const { hasPermission } = require('./roles');
+
+const JWT_ALGORITHM = 'HS256';
+const JWT_ISSUER = 'estate-sale-connect';
+const JWT_AUDIENCE = 'estate-sale-connect-portal';
+const MFA_AUDIENCE = 'estate-sale-connect-mfa';
+const MFA_TOKEN_TTL_SECONDS = 5 * 60;
+const LEAD_STATUS_AUDIENCE = 'estate-sale-connect-lead-status';
+const LEAD_STATUS_TOKEN_TTL_SECONDS = 365 * 24 * 60 * 60;
+
+class AuthConfigError extends Error {}
+
+function getJwtSecret() {
+  const secret = process.env.JWT_SECRET;
+  if (!secret) {
+    throw new AuthConfigError('JWT_SECRET is not configured');
+  }
+  return secret;
+}
+
+// Sign an access token for a company
+function signAccessToken(user, { sessionId, demo, ttlSeconds }) {
+  const payload = {
+    userId: user.id,
+    email: user.email,
+    companyName: user.companyName,
+    subscriptionStatus: user.subscriptionStatus,
+    role: user.role || 'owner',
+    memberId: user.memberId || undefined,
+    sid: sessionId || undefined,
+    demo: demo || undefined
+  };
+
+  return jwt.sign(payload, getJwtSecret(), {
+    algorithm: JWT_ALGORITHM,
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    expiresIn: ttlSeconds
+  });
+}
+
+// Verify signature, algorithm, issuer, audience and expiry
+function verifyAccessToken(token, { ignoreExpiration = false } = {}) {
+  return jwt.verify(token, getJwtSecret(), {
+    algorithms: [JWT_ALGORITHM],
+    issuer: JWT_ISSUER,
+    audience: JWT_AUDIENCE,
+    ignoreExpiration
+  });
+}
+
+// Short-lived token proving the password step passed; only auth-login accepts it
+function signMfaToken(user) {
+  return jwt.sign({ userId: user.id, memberId: user.memberId || undefined, email: user.email }, getJwtSecret(), {
+    algorithm: JWT_ALGORITHM,
+    issuer: JWT_ISSUER,
+    audience: MFA_AUDIENCE,
+    expiresIn: MFA_TOKEN_TTL_SECONDS
+  });
+}
+
+function verifyMfaToken(token) {
+  return jwt.verify(token, getJwtSecret(), {
+    algorithms: [JWT_ALGORITHM],
+    issuer: JWT_ISSUER,
+    audience: MFA_AUDIENCE
+  });
+}
+
+// Homeowner's private link to one lead's status page; only lead-status accepts it
+function signLeadStatusToken(leadId) {
+  return jwt.sign({ leadId: String(leadId) }, getJwtSecret(), {
+    algorithm: JWT_ALGORITHM,
+    issuer: JWT_ISSUER,
+    audience: LEAD_STATUS_AUDIENCE,
+    expiresIn: LEAD_STATUS_TOKEN_TTL_SECONDS
+  });
+}
+
+function verifyLeadStatusToken(token) {
+  return jwt.verify(token, getJwtSecret(), {
+    algorithms: [JWT_ALGORITHM],
+    issuer: JWT_ISSUER,
+    audience: LEAD_STATUS_AUDIENCE
+  });
+}
+
+// The user context every authenticated function receives
+function toUserContext(decoded, source) {
+  return {
+    userId: decoded.userId,
+    email: decoded.email,
+    companyName: decoded.companyName,
+    subscriptionStatus: decoded.subscriptionStatus,
+    // Tokens issued before team roles existed were always the owner's
+    role: decoded.role || 'owner',
+    memberId: decoded.memberId || null,
+    sessionId: decoded.sid || null,
+    isDemo: decoded.demo === true,
+    authSource: source
+  };
+}
+
+// Authenticate a request. Resolves to { success, user } or { success: false, statusCode, error }.
+async function authenticate(event, { requireSubscription = false, fallbackToken = null } = {}) {
+  const { token: requestToken, source } = getAuthToken(event);
+  const token = requestToken || fallbackToken;
+
+  if (!token) {
+    return { success: false, statusCode: 401, error: 'No valid authorization token provided' };
+  }
+
+  let decoded;
+  try {
+    decoded = verifyAccessToken(token);
+  } catch (error) {
+    if (error instanceof AuthConfigError) {
+      throw error;
+    }
+    if (error.name === 'TokenExpiredError') {
+      return { success: false, statusCode: 401, error: 'Token expired' };
+    }
+    return { success: false, statusCode: 401, error: 'Invalid token' };
+  }
+
+  // Check the session hasn't been revoked (logout, password reset)
+  if (!(await isSessionActive(decoded))) {
+    return { success: false, statusCode: 401, error: 'Session has been revoked. Please sign in again.' };
+  }
+
+  if (requireSubscription && decoded.subscriptionStatus !== 'active') {
+    return { success: false, statusCode: 403, error: 'Active subscription required' };
+  }
+
+  return { success: true, user: toUserContext(decoded, source || 'body') };
+}
+
+// Wrap a handler so it only runs for authenticated requests.
+// The handler is called as handler(event, context, user).
+// `permission` (see lib/roles.js) rejects roles that may not use the function.
+function withAuth(handler, { corsHeaders = {}, requireSubscription = false, permission = null } = {}) {
+  return async (event, context) => {
+    // Preflight requests carry no credentials
+    if (event.httpMethod === 'OPTIONS') {
+      return {
+        statusCode: 200,
+        headers: corsHeaders,
+        body: ''
+      };
+    }
+
+    try {
+      const authResult = await authenticate(event, { requireSubscription });
+      if (!authResult.success) {
+        console.log('❌ Authentication failed:', authResult.error);
+        return {
+          statusCode: authResult.statusCode,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: authResult.error })
+        };
+      }
+
+      if (permission && !hasPermission(authResult.user.role, permission)) {
+        console.log('❌ Role not permitted:', authResult.user.role, permission);
+        return {
+          statusCode: 403,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Your role does not have permission to do this' })
+        };
+      }
+
+      // Cookie-authenticated state changes must carry the CSRF token
+      const isStateChanging = !['GET', 'HEAD'].includes(event.httpMethod);
+      if (isStateChanging && authResult.user.authSource === 'cookie' && !verifyCsrf(event)) {
+        console.log('❌ CSRF token missing or invalid');
+        return {
+          statusCode: 403,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Invalid CSRF token' })
+        };
+      }
+
+      return handler(event, context, authResult.user);
+
+    } catch (error) {
+      console.error('💥 Authentication error:', error);
+      return {
+        statusCode: 500,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: error instanceof AuthConfigError
+            ? 'Authentication is not configured'
+            : 'Internal server error'
+        })
+      };
+    }
+  };
+}
+
+module.exports = {
+  AuthConfigError,
+  MFA_TOKEN_TTL_SECONDS,
+  signAccessToken,
+  verifyAccessToken,
+  signMfaToken,
+  verifyMfaToken,
+  signLeadStatusToken,
+  verifyLeadStatusToken,
+  authenticate,
+  withAuth
+};
@@ -0,0 +1,103 @@
+// netlify/functions/lib/billing.js
+// Links companies to their Stripe customer (Companies.stripe_customer_id) so
+// every checkout and billing session for a company uses the same customer,
+// and decides what a company's subscription state gives it access to.
+//
+// When a renewal payment fails the company goes to 'past_due' and keeps full
+// access for GRACE_PERIOD_DAYS (Companies.grace_period_ends_at, see
+// lib/dunning.js). After that, leads stay visible but contact details don't.
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+
+const GRACE_PERIOD_DAYS = 7;
+
+async function findBillingCompany(companyId) {
+  const companies = await supabaseRequest(
+    `Companies?id=eq.${encodeURIComponent(companyId)}&select=id,email,company_name,subscription_status,grace_period_ends_at,stripe_customer_id,stripe_subscription_id`
+  );
+  return companies.length > 0 ? companies[0] : null;
+}
+
+/**
+ * Return the company's Stripe customer id, creating and saving a customer
+ * the first time.
+ */
+async function getOrCreateStripeCustomer(company) {
+  if (company.stripe_customer_id) {
+    return company.stripe_customer_id;
+  }
+
+  const customer = await stripe.customers.create({
+    email: company.email,
+    name: company.company_name,
+    metadata: { companyId: String(company.id) }
+  });
+
+  // Only save if no other request saved one first
+  const saved = await supabaseRequest(
+    `Companies?id=eq.${encodeURIComponent(company.id)}&stripe_customer_id=is.null`,
+    'PATCH',
+    { stripe_customer_id: customer.id, updated_at: new Date().toISOString() }
+  );
+
+  if (saved.length === 0) {
+    await stripe.customers.del(customer.id);
+    const current = await findBillingCompany(company.id);
+    return current.stripe_customer_id;
+  }
+
+  console.log(`✅ Stripe customer ${customer.id} created for company ${company.id}`);
+  return customer.id;
+}
+
+/**
+ * What the company's subscription unlocks right now:
+ *   'active'   paid up
+ *   'grace'    payment failed, still inside the grace period - full access
+ *   'lapsed'   grace period over - leads visible, contact details hidden
+ *   'inactive' never subscribed or cancelled
+ */
+function getSubscriptionAccess(company, now = new Date()) {
+  if (company.subscription_status === 'active') {
+    return 'active';
+  }
+  if (company.subscription_status === 'past_due') {
+    return company.grace_period_ends_at && now < new Date(company.grace_period_ends_at)
+      ? 'grace'
+      : 'lapsed';
+  }
+  return 'inactive';
+}
+
+// The subscriptionStatus sanitizeLead should see: companies in their grace
+// period are treated as active
+function getEffectiveSubscriptionStatus(company, now = new Date()) {
+  return getSubscriptionAccess(company, now) === 'grace' ? 'active' : company.subscription_status;
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  GRACE_PERIOD_DAYS,
+  findBillingCompany,
+  getOrCreateStripeCustomer,
+  getSubscriptionAccess,
+  getEffectiveSubscriptionStatus
+};
@@ -0,0 +1,136 @@
+// netlify/functions/lib/cookies.js
+// HttpOnly cookie sessions and CSRF protection.
+//
+// auth-login sets three cookies:
+//   auth_token    - access token JWT (HttpOnly)
+//   refresh_token - refresh token, only sent to auth-refresh (HttpOnly)
+//   csrf_token    - random value readable by page scripts (double-submit CSRF token)
+// State-changing POSTs authenticated by cookie must echo csrf_token in an
+// X-CSRF-Token header. Bearer-authenticated requests aren't sent automatically
+// by the browser, so they don't need it.
+const crypto = require('crypto');
+
+const ACCESS_COOKIE = 'auth_token';
+const REFRESH_COOKIE = 'refresh_token';
+const CSRF_COOKIE = 'csrf_token';
+const REFRESH_COOKIE_PATH = '/.netlify/functions/auth-refresh';
+
+function getHeader(event, name) {
+  const headers = event.headers || {};
+  const match = Object.keys(headers).find(key => key.toLowerCase() === name);
+  return match ? headers[match] : undefined;
+}
+
+function parseCookies(event) {
+  const cookies = {};
+  const header = getHeader(event, 'cookie') || '';
+
+  for (const part of header.split(';')) {
+    const index = part.indexOf('=');
+    if (index === -1) continue;
+    const name = part.substring(0, index).trim();
+    const value = part.substring(index + 1).trim();
+    if (name && !(name in cookies)) {
+      try {
+        cookies[name] = decodeURIComponent(value);
+      } catch (error) {
+        cookies[name] = value;
+      }
+    }
+  }
+
+  return cookies;
+}
+
+function serializeCookie(name, value, { maxAge, path = '/', httpOnly = true } = {}) {
+  const parts = [
+    `${name}=${encodeURIComponent(value)}`,
+    `Path=${path}`,
+    `Max-Age=${maxAge}`,
+    'Secure',
+    'SameSite=Strict'
+  ];
+  if (httpOnly) {
+    parts.push('HttpOnly');
+  }
+  return parts.join('; ');
+}
+
+// Access token from the Authorization header, falling back to the session cookie
+function getAuthToken(event) {
+  const authHeader = getHeader(event, 'authorization');
+  if (authHeader && authHeader.startsWith('Bearer ')) {
+    return { token: authHeader.substring(7), source: 'bearer' };
+  }
+
+  const cookies = parseCookies(event);
+  if (cookies[ACCESS_COOKIE]) {
+    return { token: cookies[ACCESS_COOKIE], source: 'cookie' };
+  }
+
+  return { token: null, source: null };
+}
+
+function getRefreshTokenCookie(event) {
+  return parseCookies(event)[REFRESH_COOKIE] || null;
+}
+
+// Set-Cookie values for a newly issued or refreshed session
+function buildSessionCookies({ accessToken, accessTtlSeconds, refreshToken, refreshExpiresAt, csrfToken }) {
+  const refreshMaxAge = refreshExpiresAt
+    ? Math.max(Math.floor((new Date(refreshExpiresAt).getTime() - Date.now()) / 1000), 0)
+    : accessTtlSeconds;
+
+  // The access cookie outlives the JWT inside it so an expired token can still
+  // be refreshed or used to sign out; expiry is enforced on the JWT itself
+  const cookies = [
+    serializeCookie(ACCESS_COOKIE, accessToken, { maxAge: Math.max(refreshMaxAge, accessTtlSeconds) }),
+    serializeCookie(CSRF_COOKIE, csrfToken || crypto.randomBytes(32).toString('hex'), {
+      maxAge: refreshMaxAge,
+      httpOnly: false
+    })
+  ];
+
+  if (refreshToken) {
+    cookies.push(serializeCookie(REFRESH_COOKIE, refreshToken, {
+      maxAge: refreshMaxAge,
+      path: REFRESH_COOKIE_PATH
+    }));
+  }
+
+  return cookies;
+}
+
+function buildClearedCookies() {
+  return [
+    serializeCookie(ACCESS_COOKIE, '', { maxAge: 0 }),
+    serializeCookie(REFRESH_COOKIE, '', { maxAge: 0, path: REFRESH_COOKIE_PATH }),
+    serializeCookie(CSRF_COOKIE, '', { maxAge: 0, httpOnly: false })
+  ];
+}
+
+// Double-submit check: header must match the csrf_token cookie
+function verifyCsrf(event) {
+  const cookieToken = parseCookies(event)[CSRF_COOKIE];
+  const headerToken = getHeader(event, 'x-csrf-token');
+
+  if (!cookieToken || !headerToken || cookieToken.length !== headerToken.length) {
+    return false;
+  }
+
+  return crypto.timingSafeEqual(Buffer.from(cookieToken), Buffer.from(headerToken));
+}
+
+function getCsrfCookie(event) {
+  return parseCookies(event)[CSRF_COOKIE] || null;
+}
+
+module.exports = {
+  parseCookies,
+  getAuthToken,
+  getRefreshTokenCookie,
+  getCsrfCookie,
+  buildSessionCookies,
+  buildClearedCookies,
+  verifyCsrf
+};
@@ -0,0 +1,166 @@
+// netlify/functions/lib/dunning.js
+// Failed-payment handling: grace period and the dunning email sequence.
+//
+// Grace period columns on the Companies table:
+//   payment_failed_at, grace_period_ends_at, dunning_stage (last email sent, 0 = none)
+// A failed renewal moves the company to 'past_due' and starts the grace period
+// (see lib/billing.js for what that means for lead access). Each dunning step
+// below is sent once, by the webhook for the first email and by
+// send-dunning-emails.js for the rest. A successful payment clears it all.
+const { GRACE_PERIOD_DAYS } = require('./billing');
+const { sendTemplateEmail } = require('./mailer');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// daysAfterFailure, or atGraceEnd for the last step
+const DUNNING_STEPS = [
+  { stage: 1, template: 'paymentFailed', daysAfterFailure: 0 },
+  { stage: 2, template: 'paymentReminder', daysAfterFailure: 4 },
+  { stage: 3, template: 'accessPaused', atGraceEnd: true }
+];
+
+const DUNNING_COLUMNS = 'id,email,company_name,subscription_status,payment_failed_at,grace_period_ends_at,dunning_stage';
+
+/**
+ * Move a company to past_due and start its grace period, unless one is already
+ * running. companyFilter is a PostgREST filter such as `id=eq.123`.
+ * Returns the company row, or null if none matched.
+ */
+async function startGracePeriod(companyFilter, now = new Date()) {
+  const started = await supabaseRequest(
+    `Companies?${companyFilter}&grace_period_ends_at=is.null&select=${DUNNING_COLUMNS}`,
+    'PATCH',
+    {
+      subscription_status: 'past_due',
+      payment_failed_at: now.toISOString(),
+      grace_period_ends_at: new Date(now.getTime() + GRACE_PERIOD_DAYS * DAY_MS).toISOString(),
+      dunning_stage: 0,
+      updated_at: now.toISOString()
+    }
+  );
+  if (started.length > 0) {
+    console.log(`⚠️ Grace period started for company ${started[0].id}`);
+    return started[0];
+  }
+
+  // Already in a grace period - a retry failed again
+  const updated = await supabaseRequest(
+    `Companies?${companyFilter}&select=${DUNNING_COLUMNS}`,
+    'PATCH',
+    { subscription_status: 'past_due', updated_at: now.toISOString() }
+  );
+  return updated.length > 0 ? updated[0] : null;
+}
+
+async function clearGracePeriod(companyFilter) {
+  await supabaseRequest(`Companies?${companyFilter}`, 'PATCH', {
+    subscription_status: 'active',
+    payment_failed_at: null,
+    grace_period_ends_at: null,
+    dunning_stage: 0,
+    updated_at: new Date().toISOString()
+  });
+}
+
+// The latest step that is due and hasn't been sent
+function getDueStep(company, now) {
+  const failedAt = new Date(company.payment_failed_at).getTime();
+  const graceEndsAt = new Date(company.grace_period_ends_at).getTime();
+  const due = DUNNING_STEPS.filter(step => step.stage > (company.dunning_stage || 0) && (
+    step.atGraceEnd
+      ? now.getTime() >= graceEndsAt
+      : now.getTime() >= failedAt + step.daysAfterFailure * DAY_MS
+  ));
+  return due.length > 0 ? due[due.length - 1] : null;
+}
+
+/**
+ * Send the company's next dunning email if one is due.
+ * Returns 'sent', 'failed' or 'none'.
+ */
+async function sendDunningEmail(company, now = new Date()) {
+  if (company.subscription_status !== 'past_due' || !company.grace_period_ends_at) {
+    return 'none';
+  }
+
+  const step = getDueStep(company, now);
+  if (!step) {
+    return 'none';
+  }
+
+  // Claim the step so overlapping runs don't send it twice
+  const claimed = await supabaseRequest(
+    `Companies?id=eq.${encodeURIComponent(company.id)}&dunning_stage=eq.${company.dunning_stage || 0}`,
+    'PATCH',
+    { dunning_stage: step.stage }
+  );
+  if (claimed.length === 0) {
+    return 'none';
+  }
+
+  const graceEndsAt = new Date(company.grace_period_ends_at);
+  const result = await sendTemplateEmail(step.template, company.email, {
+    companyName: company.company_name,
+    graceEndDate: graceEndsAt.toLocaleDateString('en-US', { month: 'long', day: 'numeric', year: 'numeric' }),
+    daysLeft: Math.max(Math.ceil((graceEndsAt - now) / DAY_MS), 0),
+    billingUrl: `${process.env.URL}/company-dashboard.html#billing`
+  });
+
+  if (!result.success) {
+    // Put the stage back so the next run tries again
+    await supabaseRequest(
+      `Companies?id=eq.${encodeURIComponent(company.id)}&dunning_stage=eq.${step.stage}`,
+      'PATCH',
+      { dunning_stage: company.dunning_stage || 0 }
+    );
+    return 'failed';
+  }
+
+  console.log(`📧 Dunning email ${step.template} sent to company ${company.id}`);
+  return 'sent';
+}
+
+// Every past-due company with a step still to send
+async function sendDueDunningEmails(now = new Date()) {
+  const summary = { sent: 0, failed: 0 };
+  const companies = await supabaseRequest(
+    `Companies?subscription_status=eq.past_due&grace_period_ends_at=not.is.null&dunning_stage=lt.${DUNNING_STEPS.length}&select=${DUNNING_COLUMNS}`
+  );
+
+  for (const company of companies) {
+    const outcome = await sendDunningEmail(company, now);
+    if (outcome !== 'none') {
+      summary[outcome]++;
+    }
+  }
+
+  return summary;
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  DUNNING_STEPS,
+  startGracePeriod,
+  clearGracePeriod,
+  sendDunningEmail,
+  sendDueDunningEmails
+};
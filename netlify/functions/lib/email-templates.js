@@ -0,0 +1,313 @@
+// netlify/functions/lib/email-templates.js
+// Transactional email templates.
+//
+// Each template has a subject, a plain-text body and an HTML body. {{name}}
+// placeholders are filled from the variables passed to renderTemplate; values
+// are HTML-escaped in the HTML body. The HTML is wrapped in a shared layout.
+const TEMPLATES = {
+  verification: {
+    subject: 'Verify Your Estate Sale Connect Account',
+    text: `Hi {{firstName}},
+
+Thank you for registering {{companyName}} with Estate Sale Connect!
+
+Please verify your email address by clicking the link below:
+{{verificationUrl}}
+
+This verification link will expire in 24 hours.
+
+If you didn't create this account, please ignore this email.
+
+Best regards,
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{firstName}},</p>
+<p>Thank you for registering <strong>{{companyName}}</strong> with Estate Sale Connect!</p>
+<p>Please verify your email address to activate your account:</p>
+<p><a class="button" href="{{verificationUrl}}">Verify Email Address</a></p>
+<p>This verification link will expire in 24 hours. If you didn't create this account, please ignore this email.</p>
+<p class="muted">If the button doesn't work, copy and paste this URL into your browser:<br>{{verificationUrl}}</p>`
+  },
+
+  welcome: {
+    subject: 'Welcome to Estate Sale Connect, {{companyName}}!',
+    text: `Hi {{firstName}},
+
+Congratulations! Your email has been successfully verified and your Estate Sale Connect account is now active.
+
+What's Next:
+1. Our team will review your business information within 1-2 business days
+2. Once approved, you'll receive full access to browse and purchase leads
+3. Your 7-day free trial will begin immediately upon approval
+4. You can sign in anytime at: {{signinUrl}}
+
+While you wait for approval, feel free to:
+- Explore your dashboard
+- Update your company profile
+- Review our lead pricing and policies
+
+If you have any questions, our support team is here to help at info@estatesaleconnect.com
+
+Welcome to the Estate Sale Connect family!
+
+Best regards,
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{firstName}},</p>
+<p>Congratulations! Your email has been successfully verified and your Estate Sale Connect account is now active.</p>
+<p><strong>What's next:</strong></p>
+<ol>
+  <li>Our team will review your business information within 1-2 business days</li>
+  <li>Once approved, you'll receive full access to browse and purchase leads</li>
+  <li>Your 7-day free trial will begin immediately upon approval</li>
+</ol>
+<p><a class="button" href="{{signinUrl}}">Sign In</a></p>
+<p>If you have any questions, our support team is here to help at info@estatesaleconnect.com.</p>
+<p>Welcome to the Estate Sale Connect family!</p>`
+  },
+
+  passwordReset: {
+    subject: 'Reset Your Estate Sale Connect Password',
+    text: `Hi {{firstName}},
+
+We received a request to reset the password for {{companyName}}'s Estate Sale Connect account.
+
+Choose a new password by clicking the link below:
+{{resetUrl}}
+
+This link will expire in 1 hour and can only be used once.
+
+If you didn't request a password reset, you can safely ignore this email - your password will not change.
+
+Best regards,
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{firstName}},</p>
+<p>We received a request to reset the password for {{companyName}}'s Estate Sale Connect account.</p>
+<p><a class="button" href="{{resetUrl}}">Choose a New Password</a></p>
+<p>This link will expire in 1 hour and can only be used once.</p>
+<p class="muted">If you didn't request a password reset, you can safely ignore this email - your password will not change.</p>`
+  },
+
+  teamInvite: {
+    subject: "You've been invited to join {{companyName}} on Estate Sale Connect",
+    text: `Hi {{firstName}},
+
+You've been invited to join {{companyName}}'s Estate Sale Connect account as {{roleWithArticle}}.
+
+Set your password and activate your access by clicking the link below:
+{{inviteUrl}}
+
+This invitation expires in 7 days.
+
+Best regards,
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{firstName}},</p>
+<p>You've been invited to join <strong>{{companyName}}</strong>'s Estate Sale Connect account as {{roleWithArticle}}.</p>
+<p><a class="button" href="{{inviteUrl}}">Accept Invitation</a></p>
+<p class="muted">This invitation expires in 7 days.</p>`
+  },
+
+  newLead: {
+    subject: 'New estate sale lead in {{zipCode}}',
+    text: `A new lead just came in for your service area.
+
+Property: {{propertyType}}
+Timeline: {{timeline}}
+ZIP code: {{zipCode}}
+
+View the lead and contact the homeowner:
+{{portalUrl}}
+
+You can change how you receive these alerts from your dashboard.
+
+The Estate Sale Connect Team`,
+    html: `<p>A new lead just came in for your service area.</p>
+<table class="details">
+  <tr><td>Property</td><td>{{propertyType}}</td></tr>
+  <tr><td>Timeline</td><td>{{timeline}}</td></tr>
+  <tr><td>ZIP code</td><td>{{zipCode}}</td></tr>
+</table>
+<p><a class="button" href="{{portalUrl}}">View Lead</a></p>
+<p class="muted">You can change how you receive these alerts from your dashboard.</p>`
+  },
+
+  // leadList / leadListHtml are built by lib/lead-digest.js
+  leadDigest: {
+    subject: '{{leadCountLabel}} in your area {{periodLabel}}',
+    text: `Hi {{companyName}},
+
+Here are the new leads in your service area {{periodLabel}}:
+
+{{leadList}}
+
+See every lead in your portal:
+{{portalUrl}}
+
+You can switch between instant alerts and digests from your dashboard.
+
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{companyName}},</p>
+<p>Here are the new leads in your service area {{periodLabel}}:</p>
+{{{leadListHtml}}}
+<p><a class="button" href="{{portalUrl}}">Open Lead Portal</a></p>
+<p class="muted">You can switch between instant alerts and digests from your dashboard.</p>`
+  },
+
+  // Sent to the homeowner after they submit the index.html form
+  leadConfirmation: {
+    subject: 'We received your estate sale request',
+    text: `Hi {{firstName}},
+
+Thanks for reaching out. We're sharing your request with estate sale companies that serve your area:
+
+Property: {{propertyType}}
+Timeline: {{timeline}}
+
+Check who has seen your request, update your details, or let us know when you've hired someone:
+{{statusUrl}}
+
+This link is private to you, so please don't forward it.
+
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{firstName}},</p>
+<p>Thanks for reaching out. We're sharing your request with estate sale companies that serve your area.</p>
+<table class="details">
+  <tr><td>Property</td><td>{{propertyType}}</td></tr>
+  <tr><td>Timeline</td><td>{{timeline}}</td></tr>
+</table>
+<p>Check who has seen your request, update your details, or let us know when you've hired someone.</p>
+<p><a class="button" href="{{statusUrl}}">View Your Request</a></p>
+<p class="muted">This link is private to you, so please don't forward it.</p>`
+  },
+
+  paymentReceipt: {
+    subject: 'Your Estate Sale Connect receipt ({{amount}})',
+    text: `Hi {{companyName}},
+
+Thanks for your payment. Here are the details:
+
+Amount: {{amount}}
+Period: {{periodLabel}}
+Invoice: {{invoiceUrl}}
+
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{companyName}},</p>
+<p>Thanks for your payment. Here are the details:</p>
+<table class="details">
+  <tr><td>Amount</td><td>{{amount}}</td></tr>
+  <tr><td>Period</td><td>{{periodLabel}}</td></tr>
+</table>
+<p><a class="button" href="{{invoiceUrl}}">View Invoice</a></p>`
+  },
+
+  // The dunning sequence, sent by lib/dunning.js
+  paymentFailed: {
+    subject: 'Your Estate Sale Connect payment failed',
+    text: `Hi {{companyName}},
+
+We couldn't process your latest subscription payment. Your access continues until {{graceEndDate}} while you update your payment details:
+{{billingUrl}}
+
+If you've already updated your card, you can ignore this email.
+
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{companyName}},</p>
+<p>We couldn't process your latest subscription payment. Your access continues until <strong>{{graceEndDate}}</strong> while you update your payment details.</p>
+<p><a class="button" href="{{billingUrl}}">Update Payment Details</a></p>
+<p class="muted">If you've already updated your card, you can ignore this email.</p>`
+  },
+
+  paymentReminder: {
+    subject: 'Reminder: update your payment details within {{daysLeft}} days',
+    text: `Hi {{companyName}},
+
+Your subscription payment is still outstanding. On {{graceEndDate}}, homeowner contact details will be hidden from your lead portal until your payment goes through.
+
+Update your payment details:
+{{billingUrl}}
+
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{companyName}},</p>
+<p>Your subscription payment is still outstanding. On <strong>{{graceEndDate}}</strong>, homeowner contact details will be hidden from your lead portal until your payment goes through.</p>
+<p><a class="button" href="{{billingUrl}}">Update Payment Details</a></p>`
+  },
+
+  accessPaused: {
+    subject: 'Lead contact details are paused for {{companyName}}',
+    text: `Hi {{companyName}},
+
+We still haven't been able to collect your subscription payment, so homeowner contact details are now hidden in your lead portal. You can still browse leads.
+
+Update your payment details to restore access right away:
+{{billingUrl}}
+
+The Estate Sale Connect Team`,
+    html: `<p>Hi {{companyName}},</p>
+<p>We still haven't been able to collect your subscription payment, so homeowner contact details are now hidden in your lead portal. You can still browse leads.</p>
+<p><a class="button" href="{{billingUrl}}">Restore Access</a></p>`
+  }
+};
+
+const LAYOUT = `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; color: #1a1a1a; background: #fafafa; margin: 0; padding: 24px; }
+  .container { max-width: 560px; margin: 0 auto; background: #ffffff; border: 1px solid #e8e8e8; border-radius: 8px; padding: 32px; }
+  .brand { font-size: 18px; font-weight: 600; margin-bottom: 24px; }
+  .button { display: inline-block; background: #1a1a1a; color: #ffffff !important; text-decoration: none; padding: 12px 20px; border-radius: 6px; font-weight: 600; }
+  .muted { color: #6b6b6b; font-size: 13px; }
+  .details td { padding: 4px 16px 4px 0; }
+  .lead { border-top: 1px solid #e8e8e8; padding: 16px 0; }
+  .lead img { width: 96px; height: 72px; object-fit: cover; border-radius: 4px; float: right; margin-left: 12px; }
+</style>
+</head>
+<body>
+<div class="container">
+  <div class="brand">Estate Sale Connect</div>
+  {{content}}
+</div>
+</body>
+</html>`;
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#039;');
+}
+
+// {{{name}}} is inserted as-is, for fragments the caller has already escaped
+function fill(source, variables, escape) {
+  return source.replace(/\{\{\{\s*(\w+)\s*\}\}\}|\{\{\s*(\w+)\s*\}\}/g, (match, rawName, name) => {
+    const value = variables[rawName || name];
+    if (value === undefined || value === null) {
+      return '';
+    }
+    return escape && !rawName ? escapeHtml(value) : String(value);
+  });
+}
+
+/**
+ * Render a named template with variables.
+ * Returns { subject, text, html }; throws for an unknown template name.
+ */
+function renderTemplate(name, variables = {}) {
+  const template = TEMPLATES[name];
+  if (!template) {
+    throw new Error(`Unknown email template: ${name}`);
+  }
+
+  return {
+    subject: fill(template.subject, variables, false),
+    text: fill(template.text, variables, false),
+    html: LAYOUT.replace('{{content}}', () => fill(template.html, variables, true))
+  };
+}
+
+module.exports = {
+  TEMPLATES,
+  escapeHtml,
+  renderTemplate
+};
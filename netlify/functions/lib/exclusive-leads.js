@@ -0,0 +1,144 @@
+// netlify/functions/lib/exclusive-leads.js
+// Exclusive lead purchases: a lead can be bought exclusively by one company
+// during its first 24 hours, while it is still unclaimed.
+//
+// Starting checkout places a short hold on the lead so two companies can't pay
+// for the same exclusive. Hold columns on the Leads table:
+//   exclusive_hold_company_id, exclusive_hold_session_id, exclusive_hold_expires_at
+// The hold lasts as long as the Stripe checkout session, and is cleared when
+// the purchase completes or the session expires.
+//
+// After purchase, other companies are locked out of the contact details for
+// EXCLUSIVE_PERIOD_DAYS; then the lead returns to the shared pool. The buyer
+// keeps access for good.
+const EXCLUSIVE_WINDOW_HOURS = 24;
+const EXCLUSIVE_PERIOD_DAYS = 30;
+// Stripe checkout sessions must live at least 30 minutes
+const EXCLUSIVE_HOLD_MINUTES = 35;
+
+function isInExclusiveWindow(createdAt, now = new Date()) {
+  const hoursSinceSubmission = (now - new Date(createdAt)) / (1000 * 60 * 60);
+  return hoursSinceSubmission < EXCLUSIVE_WINDOW_HOURS;
+}
+
+// When a purchased lead's exclusivity ends, or null if it was never purchased
+function getExclusiveUntil(purchaseDate) {
+  if (!purchaseDate) {
+    return null;
+  }
+  return new Date(new Date(purchaseDate).getTime() + EXCLUSIVE_PERIOD_DAYS * 24 * 60 * 60 * 1000);
+}
+
+// Leads bought before purchases recorded the company id only have the name
+function isExclusivePurchaser(lead, user) {
+  if (!lead.exclusivePurchasedBy) {
+    return false;
+  }
+  if (lead.exclusivePurchasedCompanyId) {
+    return String(lead.exclusivePurchasedCompanyId) === String(user.userId);
+  }
+  return Boolean(user.companyName) && lead.exclusivePurchasedBy === user.companyName;
+}
+
+/**
+ * Place a checkout hold on a lead for companyId.
+ * Returns { success, holdExpiresAt } or { success: false, status, error }.
+ */
+async function claimExclusiveHold(leadId, companyId, now = new Date()) {
+  const leads = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&review_status=eq.approved&status=eq.open&select=id,created_at,exclusive_purchased_by,exclusive_hold_company_id,exclusive_hold_expires_at`
+  );
+  if (leads.length === 0) {
+    return { success: false, status: 404, error: 'Lead not found' };
+  }
+
+  const lead = leads[0];
+  if (lead.exclusive_purchased_by) {
+    return { success: false, status: 409, error: 'This lead has already been purchased exclusively' };
+  }
+  if (!isInExclusiveWindow(lead.created_at, now)) {
+    return { success: false, status: 409, error: 'The 24-hour exclusive window for this lead has closed' };
+  }
+
+  // Conditional update: only unclaimed leads with no other live hold.
+  // A company may renew its own hold, e.g. after closing the checkout tab.
+  const holdExpiresAt = new Date(now.getTime() + EXCLUSIVE_HOLD_MINUTES * 60 * 1000);
+  const claimed = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&exclusive_purchased_by=is.null` +
+      `&or=(exclusive_hold_expires_at.is.null,exclusive_hold_expires_at.lt.${encodeURIComponent(now.toISOString())},exclusive_hold_company_id.eq.${encodeURIComponent(companyId)})`,
+    'PATCH',
+    {
+      exclusive_hold_company_id: companyId,
+      exclusive_hold_session_id: null,
+      exclusive_hold_expires_at: holdExpiresAt.toISOString()
+    }
+  );
+  if (claimed.length === 0) {
+    return { success: false, status: 409, error: 'Another company is checking out this lead. Please try again in a few minutes.' };
+  }
+
+  return { success: true, holdExpiresAt };
+}
+
+// Link the Stripe session to the hold so the webhook can match it
+async function attachHoldSession(leadId, companyId, sessionId) {
+  await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&exclusive_hold_company_id=eq.${encodeURIComponent(companyId)}`,
+    'PATCH',
+    { exclusive_hold_session_id: sessionId }
+  );
+}
+
+// Drop the hold if it still belongs to this checkout session (or, before a
+// session exists, to this company)
+async function releaseExclusiveHold(leadId, { sessionId, companyId }) {
+  const owner = sessionId
+    ? `exclusive_hold_session_id=eq.${encodeURIComponent(sessionId)}`
+    : `exclusive_hold_company_id=eq.${encodeURIComponent(companyId)}`;
+  await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&${owner}&exclusive_purchased_by=is.null`,
+    'PATCH',
+    clearedHold()
+  );
+}
+
+function clearedHold() {
+  return {
+    exclusive_hold_company_id: null,
+    exclusive_hold_session_id: null,
+    exclusive_hold_expires_at: null
+  };
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  EXCLUSIVE_WINDOW_HOURS,
+  EXCLUSIVE_HOLD_MINUTES,
+  EXCLUSIVE_PERIOD_DAYS,
+  isInExclusiveWindow,
+  getExclusiveUntil,
+  isExclusivePurchaser,
+  claimExclusiveHold,
+  attachHoldSession,
+  releaseExclusiveHold,
+  clearedHold
+};
@@ -0,0 +1,77 @@
+// netlify/functions/lib/lead-activity.js
+// Which companies have looked at or reached out about a lead, for the
+// homeowner's status page (lead-status.js).
+//
+// Supabase LeadActivity table, one row per company and action:
+//   lead_id, company_id, action ('viewed' | 'contacted'), created_at
+//   unique (lead_id, company_id, action)
+// 'viewed' is recorded when the portal shows a company the lead's contact
+// details; 'contacted' when the company presses Contact Lead or buys the lead
+// exclusively.
+const LEAD_ACTIONS = ['viewed', 'contacted'];
+
+// Repeat views and contacts by the same company are ignored
+async function recordLeadActivity(companyId, leadIds, action) {
+  if (!LEAD_ACTIONS.includes(action)) {
+    throw new Error(`Unknown lead action: ${action}`);
+  }
+  if (!companyId || leadIds.length === 0) {
+    return;
+  }
+
+  const now = new Date().toISOString();
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/LeadActivity?on_conflict=lead_id,company_id,action`,
+    {
+      method: 'POST',
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'resolution=ignore-duplicates,return=minimal'
+      },
+      body: JSON.stringify(leadIds.map(leadId => ({
+        lead_id: leadId,
+        company_id: companyId,
+        action,
+        created_at: now
+      })))
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+}
+
+// Number of companies per action, e.g. { viewed: 4, contacted: 1 }
+async function countLeadActivity(leadId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/LeadActivity?lead_id=eq.${encodeURIComponent(leadId)}&select=action`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`
+      }
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  const rows = await response.json();
+  const counts = { viewed: 0, contacted: 0 };
+  for (const row of rows) {
+    counts[row.action]++;
+  }
+  return counts;
+}
+
+module.exports = {
+  LEAD_ACTIONS,
+  recordLeadActivity,
+  countLeadActivity
+};
@@ -0,0 +1,194 @@
+// netlify/functions/lib/lead-digest.js
+// Daily and weekly digest emails of new leads in each company's service area,
+// for companies whose notification preferences ask for a digest instead of
+// instant alerts (see notification-preferences.js).
+//
+// Leads are picked by approved_at (see lib/lead-intake.js), so a lead released
+// from the review queue days later still makes the next digest.
+//
+// Contact details follow sanitizeLead, so companies without an active
+// subscription (or past their payment grace period) get the masked version. Companies.last_digest_sent_at keeps a
+// re-run on the same day from sending twice.
+const { LEAD_COLUMNS, PROPERTY_TYPE_LABELS, TIMELINE_LABELS, mapLeadRow, sanitizeLead } = require('./leads');
+const { normalizePreferences } = require('./notifier');
+const { escapeHtml } = require('./email-templates');
+const { sendTemplateEmail } = require('./mailer');
+const { getEffectiveSubscriptionStatus } = require('./billing');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DIGEST_WINDOWS_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS
+};
+const WEEKLY_DIGEST_DAY = 1; // Monday, UTC
+const RESEND_GUARD_MS = 20 * 60 * 60 * 1000;
+const DIGEST_QUERY_PAGE_SIZE = 1000;
+const MAX_LEADS_PER_DIGEST = 25;
+
+// Which digests go out today
+function getDueFrequencies(now) {
+  return now.getUTCDay() === WEEKLY_DIGEST_DAY ? ['daily', 'weekly'] : ['daily'];
+}
+
+function buildLeadLink(leadId) {
+  return `${process.env.URL}/company-portal.html?lead=${encodeURIComponent(leadId)}`;
+}
+
+function describeLead(lead) {
+  return {
+    propertyType: PROPERTY_TYPE_LABELS[lead.propertyType] || 'Estate sale',
+    timeline: TIMELINE_LABELS[lead.timeline] || 'Timeline not given',
+    contact: lead.hasContactAccess
+      ? [`${lead.firstName} ${lead.lastName}`.trim(), lead.phone, lead.email].filter(Boolean).join(' · ')
+      : 'Subscribe to view contact details',
+    link: buildLeadLink(lead.id)
+  };
+}
+
+function buildLeadListText(leads, extraCount) {
+  const lines = leads.map(lead => {
+    const info = describeLead(lead);
+    return `- ${info.propertyType} in ${lead.zipCode} · ${info.timeline}\n  ${info.contact}\n  ${info.link}`;
+  });
+  if (extraCount > 0) {
+    lines.push(`...and ${extraCount} more in the portal`);
+  }
+  return lines.join('\n\n');
+}
+
+function buildLeadListHtml(leads, extraCount) {
+  const items = leads.map(lead => {
+    const info = describeLead(lead);
+    const photo = lead.photos[0]
+      ? `<img src="${escapeHtml(lead.photos[0])}" alt="">`
+      : '';
+    return `<div class="lead">
+  ${photo}
+  <strong>${escapeHtml(info.propertyType)}</strong> in ${escapeHtml(lead.zipCode)}<br>
+  ${escapeHtml(info.timeline)}<br>
+  <span class="muted">${escapeHtml(info.contact)}</span><br>
+  <a href="${escapeHtml(info.link)}">View lead</a>
+</div>`;
+  });
+  if (extraCount > 0) {
+    items.push(`<p class="muted">...and ${extraCount} more in the portal.</p>`);
+  }
+  return items.join('\n');
+}
+
+/**
+ * Send every digest due at `now`.
+ * Returns counts of { sent, failed, skipped }.
+ */
+async function sendLeadDigests(now = new Date()) {
+  const summary = { sent: 0, failed: 0, skipped: 0 };
+  const dueFrequencies = getDueFrequencies(now);
+
+  const companies = await supabaseRequest(
+    `Companies?notification_preferences->>frequency=in.(${dueFrequencies.join(',')})&account_status=eq.active&select=id,email,company_name,subscription_status,grace_period_ends_at,service_area_zips,notification_preferences,last_digest_sent_at`
+  );
+  if (companies.length === 0) {
+    return summary;
+  }
+
+  // One query for the longest window; each company is filtered from it
+  const longestWindow = Math.max(...dueFrequencies.map(frequency => DIGEST_WINDOWS_MS[frequency]));
+  const since = new Date(now.getTime() - longestWindow).toISOString();
+  const recentLeads = (await fetchApprovedLeadsSince(since)).map(row => ({
+    ...mapLeadRow(row),
+    approvedAt: row.approved_at
+  }));
+
+  for (const company of companies) {
+    const { preferences } = normalizePreferences(company.notification_preferences);
+    const zips = new Set(Array.isArray(company.service_area_zips) ? company.service_area_zips : []);
+    const alreadySent = company.last_digest_sent_at &&
+      now.getTime() - new Date(company.last_digest_sent_at).getTime() < RESEND_GUARD_MS;
+
+    if (!preferences.channels.includes('email') || zips.size === 0 || alreadySent) {
+      summary.skipped++;
+      continue;
+    }
+
+    const cutoff = now.getTime() - DIGEST_WINDOWS_MS[preferences.frequency];
+    const viewer = {
+      userId: company.id,
+      companyName: company.company_name,
+      subscriptionStatus: getEffectiveSubscriptionStatus(company, now),
+      role: 'owner'
+    };
+    const leads = recentLeads
+      .filter(lead => zips.has(lead.zipCode) && new Date(lead.approvedAt).getTime() >= cutoff)
+      .map(lead => sanitizeLead(lead, viewer));
+
+    // No email on days with nothing new
+    if (leads.length === 0) {
+      summary.skipped++;
+      continue;
+    }
+
+    const shown = leads.slice(0, MAX_LEADS_PER_DIGEST);
+    const extraCount = leads.length - shown.length;
+    const result = await sendTemplateEmail('leadDigest', company.email, {
+      companyName: company.company_name,
+      leadCountLabel: `${leads.length} new estate sale ${leads.length === 1 ? 'lead' : 'leads'}`,
+      periodLabel: preferences.frequency === 'weekly' ? 'this week' : 'today',
+      leadList: buildLeadListText(shown, extraCount),
+      leadListHtml: buildLeadListHtml(shown, extraCount),
+      portalUrl: `${process.env.URL}/company-portal.html`
+    });
+
+    if (result.success) {
+      await supabaseRequest(`Companies?id=eq.${encodeURIComponent(company.id)}`, 'PATCH', {
+        last_digest_sent_at: now.toISOString()
+      });
+      summary.sent++;
+    } else {
+      console.log(`❌ Digest for ${company.company_name} failed:`, result.error);
+      summary.failed++;
+    }
+  }
+
+  return summary;
+}
+
+// Every open lead approved since `since`, newest first. Paged so a busy week
+// isn't cut short and the digest counts stay right.
+async function fetchApprovedLeadsSince(since) {
+  const rows = [];
+  for (let offset = 0; ; offset += DIGEST_QUERY_PAGE_SIZE) {
+    const page = await supabaseRequest(
+      `Leads?approved_at=gte.${encodeURIComponent(since)}&review_status=eq.approved&status=eq.open` +
+        `&select=${LEAD_COLUMNS},approved_at&order=approved_at.desc,id.asc` +
+        `&limit=${DIGEST_QUERY_PAGE_SIZE}&offset=${offset}`
+    );
+    rows.push(...page);
+    if (page.length < DIGEST_QUERY_PAGE_SIZE) {
+      return rows;
+    }
+  }
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  sendLeadDigests
+};
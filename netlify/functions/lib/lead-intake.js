@@ -0,0 +1,455 @@
+// netlify/functions/lib/lead-intake.js
+// The one way a homeowner lead gets into the Leads table. Both entry points -
+// Netlify Forms (submission-created.js) and the validate-lead-data endpoint -
+// run the same validation and sanitization, ZIP matching and alerts.
+//
+// Form fields may arrive camelCase (firstName) or snake_case (first_name);
+// photo URLs come space-separated in 'photo-urls' or 'photo_urls'.
+//
+// The address is also stored split up (lib/addresses.js):
+//   street, city, state, zip_code, latitude, longitude
+// zip_code is always the 5-digit ZIP, taken from the end of the address or
+// else the optional zipCode form field; latitude/longitude are area centroids.
+//
+// Screening columns on the Leads table (see lib/lead-screening.js):
+//   normalized_email, normalized_phone, normalized_address, submitter_ip,
+//   submission_count, last_submitted_at,
+//   review_status ('approved' | 'pending_review' | 'rejected', default 'approved'),
+//   review_reasons text[],
+//   approved_at (set when review_status becomes 'approved'; backfill existing
+//     approved rows with created_at)
+// Repeat submissions merge into the original lead. Leads with spam signals
+// wait in the review queue (scripts/review-leads.js) and only reach the portal
+// and company alerts once approved.
+//
+// The homeowner gets a confirmation email with their status link (see
+// lib/lead-status.js) once the lead goes out to companies.
+//
+// Every saved lead carries quality_score and quality_breakdown (see
+// lib/lead-scoring.js); scripts/score-leads.js backfills older rows.
+const { notifyMatchedCompanies } = require('./lead-notifications');
+const { sendLeadConfirmation } = require('./lead-status');
+const { parseAddress } = require('./addresses');
+const { getScoreColumns, rescoreLead } = require('./lead-scoring');
+const {
+  normalizeEmail,
+  normalizePhone,
+  normalizeAddress,
+  getSpamSignals,
+  findDuplicateLead,
+  isRateLimited
+} = require('./lead-screening');
+
+const LEAD_PRICE = 39.99;
+const MAX_PHOTOS = 12;
+
+const VALID_PROPERTY_TYPES = ['house', 'condo', 'apartment', 'storage', 'other'];
+const VALID_TIMELINES = ['asap', 'month', '1-3months', 'flexible', 'planning'];
+
+// First value present under any of the field's names
+function getField(data, ...names) {
+  for (const name of names) {
+    if (data[name] !== undefined && data[name] !== null && data[name] !== '') {
+      return data[name];
+    }
+  }
+  return undefined;
+}
+
+function sanitizeText(input, maxLength = 1000) {
+  if (typeof input !== 'string') return '';
+
+  // Remove potential XSS vectors
+  let cleaned = input
+    .replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, '') // Remove script tags
+    .replace(/<iframe\b[^<]*(?:(?!<\/iframe>)<[^<]*)*<\/iframe>/gi, '') // Remove iframe tags
+    .replace(/javascript:/gi, '') // Remove javascript: protocol
+    .replace(/on\w+\s*=/gi, '') // Remove event handlers (onclick, onload, etc)
+    .replace(/<[^>]*>/g, '') // Remove all HTML tags
+    .trim();
+
+  if (cleaned.length > maxLength) {
+    cleaned = cleaned.substring(0, maxLength);
+  }
+
+  return cleaned;
+}
+
+function isValidEmail(email) {
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  return emailRegex.test(email) && email.length <= 254;
+}
+
+function sanitizePhone(phone) {
+  if (typeof phone !== 'string') return '';
+  // Remove all non-digits except + - ( ) spaces
+  const cleaned = phone.replace(/[^0-9+\-() ]/g, '').trim();
+  return cleaned.length >= 10 && cleaned.length <= 20 ? cleaned : '';
+}
+
+// Only Cloudinary uploads and inline images, at most MAX_PHOTOS
+function filterPhotoUrls(value) {
+  if (typeof value !== 'string') return '';
+
+  return value
+    .split(/\s+/)
+    .filter(url => url.startsWith('https://res.cloudinary.com/') || url.startsWith('data:image/'))
+    .slice(0, MAX_PHOTOS)
+    .join(' ');
+}
+
+/**
+ * Validate and sanitize a raw submission.
+ * Returns { data, errors }; data is only complete when errors is empty.
+ */
+function validateLeadData(rawData) {
+  const data = rawData || {};
+  const errors = [];
+  const sanitized = {};
+
+  const firstName = getField(data, 'firstName', 'first_name');
+  if (!firstName || typeof firstName !== 'string') {
+    errors.push('First name is required');
+  } else {
+    sanitized.firstName = sanitizeText(firstName, 50);
+    if (sanitized.firstName.length < 1) {
+      errors.push('First name cannot be empty');
+    }
+  }
+
+  const lastName = getField(data, 'lastName', 'last_name');
+  if (!lastName || typeof lastName !== 'string') {
+    errors.push('Last name is required');
+  } else {
+    sanitized.lastName = sanitizeText(lastName, 50);
+    if (sanitized.lastName.length < 1) {
+      errors.push('Last name cannot be empty');
+    }
+  }
+
+  const email = getField(data, 'email');
+  if (!email || typeof email !== 'string') {
+    errors.push('Email is required');
+  } else {
+    const cleanEmail = email.trim().toLowerCase();
+    if (!isValidEmail(cleanEmail)) {
+      errors.push('Invalid email format');
+    } else {
+      sanitized.email = cleanEmail;
+    }
+  }
+
+  const phone = getField(data, 'phone');
+  if (!phone || typeof phone !== 'string') {
+    errors.push('Phone number is required');
+  } else {
+    sanitized.phone = sanitizePhone(phone);
+    if (!sanitized.phone) {
+      errors.push('Invalid phone number format');
+    }
+  }
+
+  const address = getField(data, 'address');
+  if (!address || typeof address !== 'string') {
+    errors.push('Address is required');
+  } else {
+    sanitized.address = sanitizeText(address, 200);
+    if (sanitized.address.length < 10) {
+      errors.push('Address must be at least 10 characters');
+    } else {
+      // A separate ZIP field is only used when the address doesn't end with one
+      sanitized.location = parseAddress(sanitized.address, getField(data, 'zipCode', 'zip_code'));
+      errors.push(...sanitized.location.errors);
+    }
+  }
+
+  const propertyType = getField(data, 'propertyType', 'property_type');
+  if (!propertyType || !VALID_PROPERTY_TYPES.includes(propertyType)) {
+    errors.push('Invalid property type');
+  } else {
+    sanitized.propertyType = propertyType;
+  }
+
+  const timeline = getField(data, 'timeline');
+  if (!timeline || !VALID_TIMELINES.includes(timeline)) {
+    errors.push('Invalid timeline');
+  } else {
+    sanitized.timeline = timeline;
+  }
+
+  const details = getField(data, 'details');
+  if (!details || typeof details !== 'string') {
+    errors.push('Details are required');
+  } else {
+    sanitized.details = sanitizeText(details, 2000);
+    if (sanitized.details.length < 10) {
+      errors.push('Details must be at least 10 characters');
+    }
+  }
+
+  sanitized.photoUrls = filterPhotoUrls(getField(data, 'photo-urls', 'photo_urls'));
+
+  return {
+    data: sanitized,
+    errors: errors
+  };
+}
+
+/**
+ * Validate a homeowner's edit from the status page; same rules as intake.
+ * Returns { changes, errors } with changes in Leads column names.
+ */
+function validateLeadUpdate(rawData) {
+  const data = rawData || {};
+  const errors = [];
+  const changes = {};
+
+  if (data.timeline !== undefined) {
+    if (!VALID_TIMELINES.includes(data.timeline)) {
+      errors.push('Invalid timeline');
+    } else {
+      changes.timeline = data.timeline;
+    }
+  }
+
+  if (data.details !== undefined) {
+    const details = sanitizeText(data.details, 2000);
+    if (details.length < 10) {
+      errors.push('Details must be at least 10 characters');
+    } else {
+      changes.details = details;
+    }
+  }
+
+  if (errors.length === 0 && Object.keys(changes).length === 0) {
+    errors.push('Nothing to update');
+  }
+
+  return { changes, errors };
+}
+
+// Row for the Leads table from validated data, scored (see lib/lead-scoring.js)
+function buildLeadRecord(data, matchedCompanyIds = [], screening = {}) {
+  const now = new Date().toISOString();
+  const reviewReasons = screening.reviewReasons || [];
+  const record = {
+    first_name: data.firstName,
+    last_name: data.lastName,
+    email: data.email,
+    phone: data.phone,
+    address: data.address,
+    street: data.location.street,
+    city: data.location.city,
+    state: data.location.state,
+    zip_code: data.location.zipCode,
+    latitude: data.location.latitude,
+    longitude: data.location.longitude,
+    property_type: data.propertyType,
+    timeline: data.timeline,
+    details: data.details,
+    photo_urls: data.photoUrls,
+    price: LEAD_PRICE,
+    purchased: false,
+    purchased_by: null,
+    exclusive_purchased_by: null,
+    matched_company_ids: matchedCompanyIds,
+    normalized_email: normalizeEmail(data.email),
+    normalized_phone: normalizePhone(data.phone),
+    normalized_address: normalizeAddress(data.address),
+    submitter_ip: screening.ipAddress || null,
+    submission_count: 1,
+    last_submitted_at: now,
+    review_status: reviewReasons.length > 0 ? 'pending_review' : 'approved',
+    review_reasons: reviewReasons,
+    approved_at: reviewReasons.length > 0 ? null : now,
+    status: 'open',
+    created_at: now
+  };
+  return { ...record, ...getScoreColumns(record) };
+}
+
+// Active companies with this ZIP in their service_area_zips. Matching is best
+// effort: a failed lookup still saves the lead, just without matches.
+async function findServiceAreaMatches(zipCode) {
+  if (!/^\d{5}$/.test(zipCode)) {
+    return [];
+  }
+
+  try {
+    const companies = await supabaseRequest(
+      `Companies?service_area_zips=cs.{${zipCode}}&account_status=eq.active&select=id`
+    );
+    return companies.map(company => company.id);
+  } catch (error) {
+    console.error('Service area match error:', error);
+    return [];
+  }
+}
+
+/**
+ * Validate, screen, save and announce a lead. `options` is { source, ipAddress }.
+ * Returns { success, status, ... } where status is:
+ *   'invalid'        validation failed - errors lists why
+ *   'rate_limited'   too many leads from this IP recently
+ *   'duplicate'      merged into an earlier lead - lead is that lead
+ *   'pending_review' saved to the review queue - reviewReasons lists why
+ *   'created'        saved and sent to matched companies
+ * Database errors are thrown.
+ */
+async function intakeLead(rawData, options = {}) {
+  const source = options.source || 'unknown';
+  const now = new Date();
+
+  const validated = validateLeadData(rawData);
+  if (validated.errors.length > 0) {
+    console.log(`⚠️ Lead from ${source} rejected:`, validated.errors);
+    return { success: false, status: 'invalid', errors: validated.errors };
+  }
+
+  if (await isRateLimited(options.ipAddress, now)) {
+    console.log(`🚫 Lead from ${source} rate limited for IP ${options.ipAddress}`);
+    return { success: false, status: 'rate_limited' };
+  }
+
+  const duplicate = await findDuplicateLead({
+    normalizedEmail: normalizeEmail(validated.data.email),
+    normalizedPhone: normalizePhone(validated.data.phone),
+    normalizedAddress: normalizeAddress(validated.data.address)
+  }, now);
+  if (duplicate) {
+    const lead = await mergeDuplicateLead(duplicate, validated.data, now);
+    console.log(`🔁 Lead from ${source} merged into lead ${lead.id}`);
+    return { success: true, status: 'duplicate', lead };
+  }
+
+  const reviewReasons = getSpamSignals(rawData);
+  const zipCode = validated.data.location.zipCode;
+  const matchedCompanyIds = await findServiceAreaMatches(zipCode);
+  console.log(`Lead matched ${matchedCompanyIds.length} companies in ZIP ${zipCode || '(none)'}`);
+
+  const leadData = buildLeadRecord(validated.data, matchedCompanyIds, {
+    ipAddress: options.ipAddress,
+    reviewReasons
+  });
+  const savedLeads = await supabaseRequest('Leads', 'POST', leadData);
+  const lead = { ...leadData, id: savedLeads[0] ? savedLeads[0].id : null };
+
+  // Held back from companies until someone approves it
+  if (reviewReasons.length > 0) {
+    console.log(`🚩 Lead ${lead.id} from ${source} flagged for review:`, reviewReasons);
+    return { success: true, status: 'pending_review', lead, reviewReasons };
+  }
+
+  console.log(`✅ Lead ${lead.id} saved from ${source}`);
+  await notifyLead(lead, matchedCompanyIds);
+  await sendLeadConfirmation(lead);
+  return { success: true, status: 'created', lead, matchedCompanyIds };
+}
+
+// Count the repeat and add any new photos to the original lead
+async function mergeDuplicateLead(original, data, now) {
+  const photoUrls = filterPhotoUrls(
+    [...new Set(`${original.photo_urls || ''} ${data.photoUrls}`.split(/\s+/))].join(' ')
+  );
+
+  const merged = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(original.id)}&select=id,review_status,submission_count`,
+    'PATCH',
+    {
+      photo_urls: photoUrls,
+      submission_count: (original.submission_count || 1) + 1,
+      last_submitted_at: now.toISOString()
+    }
+  );
+
+  // More photos raise the score, repeats lower it
+  await rescoreLead(original.id);
+  return merged.length > 0 ? merged[0] : original;
+}
+
+// Alerts are best effort - the lead is already saved
+async function notifyLead(lead, matchedCompanyIds) {
+  try {
+    const notified = await notifyMatchedCompanies(lead, matchedCompanyIds);
+    console.log('Lead notifications:', notified);
+  } catch (notifyError) {
+    console.error('Lead notification error:', notifyError);
+  }
+}
+
+// Oldest first, so the queue is worked in order
+async function listLeadsForReview() {
+  return supabaseRequest(
+    'Leads?review_status=eq.pending_review' +
+      '&select=id,first_name,last_name,email,phone,address,zip_code,details,submitter_ip,review_reasons,created_at' +
+      '&order=created_at.asc'
+  );
+}
+
+/**
+ * Release a queued lead to the portal and alert its matched companies.
+ * Returns the lead, or null if it wasn't waiting for review.
+ */
+async function approveLead(leadId) {
+  const approved = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&review_status=eq.pending_review`,
+    'PATCH',
+    { review_status: 'approved', approved_at: new Date().toISOString() }
+  );
+  if (approved.length === 0) {
+    return null;
+  }
+
+  const lead = approved[0];
+  console.log(`✅ Lead ${lead.id} approved`);
+
+  // Spam signals no longer count against an approved lead
+  await rescoreLead(lead.id);
+  await notifyLead(lead, lead.matched_company_ids || []);
+  await sendLeadConfirmation(lead);
+  return lead;
+}
+
+// Returns the lead, or null if it wasn't waiting for review
+async function rejectLead(leadId) {
+  const rejected = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&review_status=eq.pending_review&select=id`,
+    'PATCH',
+    { review_status: 'rejected' }
+  );
+  return rejected.length > 0 ? rejected[0] : null;
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  VALID_PROPERTY_TYPES,
+  VALID_TIMELINES,
+  filterPhotoUrls,
+  validateLeadData,
+  validateLeadUpdate,
+  buildLeadRecord,
+  findServiceAreaMatches,
+  intakeLead,
+  listLeadsForReview,
+  approveLead,
+  rejectLead
+};
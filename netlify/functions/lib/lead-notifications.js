@@ -0,0 +1,256 @@
+// netlify/functions/lib/lead-notifications.js
+// New-lead alerts for companies whose service areas match a lead.
+//
+// Every alert is recorded in the Supabase Notifications table:
+//   id, company_id, lead_id, channel ('email' | 'sms'), recipient, subject, body,
+//   status ('deferred' | 'sending' | 'sent' | 'failed' | 'cancelled'), provider,
+//   provider_message_id, error, created_at, sent_at
+// Alerts that land in a company's quiet hours are stored as 'deferred' and sent
+// by send-deferred-notifications.js once the quiet hours end. Deferred alerts
+// are 'cancelled' if the lead is no longer open (withdrawn or closed), or the
+// company has since moved to a digest or lost its subscription. Deferred emails
+// are rendered again at send time.
+//
+// Companies in their payment grace period (lib/billing.js) keep getting alerts.
+const { createNotifier, normalizePreferences, isInQuietHours } = require('./notifier');
+const { renderTemplate } = require('./email-templates');
+const { PROPERTY_TYPE_LABELS, TIMELINE_LABELS } = require('./leads');
+const { getSubscriptionAccess } = require('./billing');
+
+const DEFERRED_BATCH_SIZE = 200;
+const DEFERRED_MAX_BATCHES = 10;
+
+// Alerts never include homeowner contact details; those stay behind the portal
+function buildLeadMessage(channel, lead, recipient) {
+  const propertyType = PROPERTY_TYPE_LABELS[lead.property_type] || 'Estate sale';
+  const timeline = TIMELINE_LABELS[lead.timeline] || 'Timeline not given';
+  const portalUrl = `${process.env.URL}/company-portal.html`;
+
+  if (channel === 'sms') {
+    return {
+      to: recipient,
+      text: `Estate Sale Connect: new ${propertyType.toLowerCase()} lead in ${lead.zip_code} (${timeline}). ${portalUrl}`
+    };
+  }
+
+  return {
+    to: recipient,
+    template: 'newLead',
+    ...renderTemplate('newLead', {
+      propertyType,
+      timeline,
+      zipCode: lead.zip_code,
+      portalUrl
+    })
+  };
+}
+
+function hasAlertAccess(company, now) {
+  const access = getSubscriptionAccess(company, now);
+  return access === 'active' || access === 'grace';
+}
+
+function getRecipient(channel, company, preferences) {
+  if (channel === 'email') {
+    return company.email || null;
+  }
+  if (preferences.smsPhone) {
+    return preferences.smsPhone;
+  }
+  // Fall back to the phone number given at signup
+  const digits = String(company.phone || '').replace(/\D/g, '');
+  return digits.length >= 10 ? `+1${digits.slice(-10)}` : null;
+}
+
+/**
+ * Alert every subscribed company in companyIds about a newly saved lead.
+ * Companies on a daily or weekly digest are left for the digest.
+ * Returns counts of { sent, deferred, failed, skipped }.
+ */
+async function notifyMatchedCompanies(lead, companyIds, notifier = createNotifier()) {
+  const summary = { sent: 0, deferred: 0, failed: 0, skipped: 0 };
+  if (!lead.id || !companyIds || companyIds.length === 0) {
+    return summary;
+  }
+
+  const companies = await supabaseRequest(
+    `Companies?id=in.(${companyIds.map(encodeURIComponent).join(',')})&subscription_status=in.(active,past_due)&select=id,email,phone,company_name,subscription_status,grace_period_ends_at,notification_preferences`
+  );
+
+  const now = new Date();
+  const records = [];
+
+  for (const company of companies) {
+    const { preferences } = normalizePreferences(company.notification_preferences);
+    if (!hasAlertAccess(company, now) || preferences.frequency !== 'instant') {
+      summary.skipped++;
+      continue;
+    }
+
+    const quiet = isInQuietHours(preferences, now);
+
+    for (const channel of preferences.channels) {
+      const recipient = getRecipient(channel, company, preferences);
+      if (!recipient) {
+        console.log(`⚠️ No ${channel} recipient for ${company.company_name}`);
+        summary.skipped++;
+        continue;
+      }
+
+      const message = buildLeadMessage(channel, lead, recipient);
+      const record = {
+        company_id: company.id,
+        lead_id: lead.id,
+        channel,
+        recipient,
+        subject: message.subject || null,
+        body: message.text,
+        created_at: now.toISOString()
+      };
+
+      if (quiet) {
+        records.push({ ...record, status: 'deferred' });
+        summary.deferred++;
+        continue;
+      }
+
+      const result = await notifier.send(channel, message);
+      records.push({
+        ...record,
+        status: result.success ? 'sent' : 'failed',
+        provider: result.provider || null,
+        provider_message_id: result.id || null,
+        error: result.success ? null : result.error,
+        sent_at: result.success ? new Date().toISOString() : null
+      });
+      summary[result.success ? 'sent' : 'failed']++;
+    }
+  }
+
+  if (records.length > 0) {
+    await supabaseRequest('Notifications', 'POST', normalizeRecords(records));
+  }
+
+  return summary;
+}
+
+/**
+ * Send deferred alerts for companies whose quiet hours have ended.
+ * Each row is claimed ('deferred' -> 'sending') before sending so overlapping
+ * runs can't send it twice. Companies still in quiet hours are left out of the
+ * next batch so their rows can't hold up everyone else's.
+ */
+async function sendDeferredNotifications(notifier = createNotifier()) {
+  const summary = { sent: 0, failed: 0, waiting: 0, cancelled: 0 };
+  const waitingCompanyIds = new Set();
+
+  for (let batch = 0; batch < DEFERRED_MAX_BATCHES; batch++) {
+    const skipWaiting = waitingCompanyIds.size > 0
+      ? `&company_id=not.in.(${[...waitingCompanyIds].map(encodeURIComponent).join(',')})`
+      : '';
+    const deferred = await supabaseRequest(
+      `Notifications?status=eq.deferred${skipWaiting}&select=id,company_id,lead_id,channel,recipient&order=created_at.asc&limit=${DEFERRED_BATCH_SIZE}`
+    );
+    if (deferred.length === 0) {
+      break;
+    }
+
+    const companyIds = [...new Set(deferred.map(row => row.company_id))];
+    const companies = await supabaseRequest(
+      `Companies?id=in.(${companyIds.map(encodeURIComponent).join(',')})&select=id,subscription_status,grace_period_ends_at,notification_preferences`
+    );
+    const companiesById = new Map(companies.map(company => [String(company.id), company]));
+
+    // The homeowner may have withdrawn or closed the lead since the alert was queued
+    const leadIds = [...new Set(deferred.map(row => row.lead_id))];
+    const openLeads = await supabaseRequest(
+      `Leads?id=in.(${leadIds.map(encodeURIComponent).join(',')})&status=eq.open&select=id,property_type,timeline,zip_code`
+    );
+    const openLeadsById = new Map(openLeads.map(lead => [String(lead.id), lead]));
+
+    const now = new Date();
+    for (const row of deferred) {
+      const lead = openLeadsById.get(String(row.lead_id));
+      const company = companiesById.get(String(row.company_id));
+      const preferences = company ? normalizePreferences(company.notification_preferences).preferences : null;
+
+      let cancelReason = null;
+      if (!lead) {
+        cancelReason = 'Lead is no longer open';
+      } else if (!company || !hasAlertAccess(company, now)) {
+        cancelReason = 'Company no longer has an active subscription';
+      } else if (preferences.frequency !== 'instant') {
+        cancelReason = 'Company switched to a digest';
+      }
+      if (cancelReason) {
+        const cancelled = await supabaseRequest(
+          `Notifications?id=eq.${encodeURIComponent(row.id)}&status=eq.deferred`,
+          'PATCH',
+          { status: 'cancelled', error: cancelReason }
+        );
+        summary.cancelled += cancelled.length;
+        continue;
+      }
+
+      if (isInQuietHours(preferences, now)) {
+        waitingCompanyIds.add(String(row.company_id));
+        summary.waiting++;
+        continue;
+      }
+
+      const claimed = await supabaseRequest(
+        `Notifications?id=eq.${encodeURIComponent(row.id)}&status=eq.deferred`,
+        'PATCH',
+        { status: 'sending' }
+      );
+      if (claimed.length === 0) {
+        continue;
+      }
+
+      // Rendered now rather than stored, so emails keep their HTML
+      const result = await notifier.send(row.channel, buildLeadMessage(row.channel, lead, row.recipient));
+      await supabaseRequest(`Notifications?id=eq.${encodeURIComponent(row.id)}`, 'PATCH', {
+        status: result.success ? 'sent' : 'failed',
+        provider: result.provider || null,
+        provider_message_id: result.id || null,
+        error: result.success ? null : result.error,
+        sent_at: result.success ? new Date().toISOString() : null
+      });
+      summary[result.success ? 'sent' : 'failed']++;
+    }
+  }
+
+  return summary;
+}
+
+// PostgREST bulk inserts need every row to have the same keys
+function normalizeRecords(records) {
+  const keys = [...new Set(records.flatMap(Object.keys))];
+  return records.map(record => Object.fromEntries(keys.map(key => [key, record[key] === undefined ? null : record[key]])));
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  buildLeadMessage,
+  notifyMatchedCompanies,
+  sendDeferredNotifications
+};
@@ -0,0 +1,153 @@
+// netlify/functions/lib/lead-scoring.js
+// Lead quality score, 0-100, so companies can spot the leads worth calling first.
+//
+// Stored on the Leads table as quality_score (integer) and quality_breakdown
+// (jsonb: factor -> { points, max, detail }), recomputed whenever the lead
+// changes: at intake, when a repeat submission is merged and when the
+// homeowner edits it. The same lead always gets the same score.
+//
+// Positive factors add up to 100. Spam signals and repeat submissions subtract.
+
+const TIMELINE_POINTS = { asap: 25, month: 20, '1-3months': 14, flexible: 8, planning: 4 };
+const PROPERTY_TYPE_POINTS = { house: 15, condo: 10, apartment: 8, storage: 6, other: 5 };
+
+// Each group found in the details is worth KEYWORD_POINTS
+const KEYWORD_GROUPS = {
+  antiques: /\b(antiques?|vintage|collectibles?|heirlooms?)\b/i,
+  jewelry: /\b(jewel(le)?ry|watches|sterling|silver|gold)\b/i,
+  fullHousehold: /\b(full|entire|whole)\s+(household|house|home|contents)\b|\beverything must go\b|\bentire estate\b/i
+};
+const KEYWORD_POINTS = 5;
+
+const SPAM_PENALTY = 25; // per review reason while unreviewed (see lib/lead-screening.js)
+const REPEAT_PENALTY = 5; // per repeat submission
+const MAX_PENALTY = 50;
+
+function scoreTimeline(lead) {
+  const points = TIMELINE_POINTS[lead.timeline] || 0;
+  return { points, max: 25, detail: lead.timeline || 'not given' };
+}
+
+function scorePropertyType(lead) {
+  const points = PROPERTY_TYPE_POINTS[lead.property_type] || 0;
+  return { points, max: 15, detail: lead.property_type || 'not given' };
+}
+
+function scoreDetailLength(lead) {
+  const length = (lead.details || '').length;
+  const points = length >= 300 ? 15 : length >= 150 ? 10 : length >= 50 ? 6 : 2;
+  return { points, max: 15, detail: `${length} characters` };
+}
+
+function scoreKeywords(lead) {
+  const found = Object.keys(KEYWORD_GROUPS).filter(group => KEYWORD_GROUPS[group].test(lead.details || ''));
+  return {
+    points: found.length * KEYWORD_POINTS,
+    max: Object.keys(KEYWORD_GROUPS).length * KEYWORD_POINTS,
+    detail: found.length > 0 ? found.join(', ') : 'none'
+  };
+}
+
+function scorePhotos(lead) {
+  const count = (lead.photo_urls || '').split(' ').filter(url => url.trim()).length;
+  const points = count >= 6 ? 15 : count >= 3 ? 10 : count >= 1 ? 6 : 0;
+  return { points, max: 15, detail: `${count} photo${count === 1 ? '' : 's'}` };
+}
+
+// Email, phone, a fully parsed address and coordinates
+function scoreContact(lead) {
+  const checks = {
+    email: Boolean(lead.email),
+    phone: Boolean(lead.phone),
+    address: Boolean(lead.street && lead.city && lead.state),
+    location: lead.latitude !== null && lead.latitude !== undefined
+  };
+  const points = (checks.email ? 4 : 0) + (checks.phone ? 4 : 0) + (checks.address ? 4 : 0) + (checks.location ? 3 : 0);
+  const missing = Object.keys(checks).filter(check => !checks[check]);
+  return { points, max: 15, detail: missing.length > 0 ? `missing ${missing.join(', ')}` : 'complete' };
+}
+
+// Review reasons stop counting once a reviewer approves the lead
+function scoreSignals(lead) {
+  const reasons = lead.review_status === 'approved' ? [] : lead.review_reasons || [];
+  const repeats = Math.max((lead.submission_count || 1) - 1, 0);
+  const penalty = Math.min(reasons.length * SPAM_PENALTY + repeats * REPEAT_PENALTY, MAX_PENALTY);
+  const details = [...reasons];
+  if (repeats > 0) details.push(`${repeats} repeat submission${repeats === 1 ? '' : 's'}`);
+  return { points: -penalty, max: 0, detail: details.length > 0 ? details.join(', ') : 'none' };
+}
+
+/**
+ * Score a Leads row. Returns { score, breakdown }.
+ */
+function scoreLead(lead) {
+  const breakdown = {
+    timeline: scoreTimeline(lead),
+    propertyType: scorePropertyType(lead),
+    detailLength: scoreDetailLength(lead),
+    keywords: scoreKeywords(lead),
+    photos: scorePhotos(lead),
+    contact: scoreContact(lead),
+    signals: scoreSignals(lead)
+  };
+
+  const total = Object.values(breakdown).reduce((sum, factor) => sum + factor.points, 0);
+  return {
+    score: Math.max(0, Math.min(100, total)),
+    breakdown
+  };
+}
+
+// Columns to write for a row
+function getScoreColumns(lead) {
+  const { score, breakdown } = scoreLead(lead);
+  return { quality_score: score, quality_breakdown: breakdown };
+}
+
+/**
+ * Recompute and save a stored lead's score. Returns the new score, or null if
+ * the lead doesn't exist.
+ */
+async function rescoreLead(leadId) {
+  const leads = await supabaseRequest(`Leads?id=eq.${encodeURIComponent(leadId)}&select=*`);
+  if (leads.length === 0) {
+    return null;
+  }
+
+  const columns = getScoreColumns(leads[0]);
+  await supabaseRequest(`Leads?id=eq.${encodeURIComponent(leadId)}`, 'PATCH', columns);
+  return columns.quality_score;
+}
+
+// Leads saved before scoring existed, oldest first (see scripts/score-leads.js)
+async function findUnscoredLeadIds(limit = 500) {
+  const leads = await supabaseRequest(`Leads?quality_score=is.null&select=id&order=created_at.asc&limit=${limit}`);
+  return leads.map(lead => lead.id);
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  scoreLead,
+  getScoreColumns,
+  rescoreLead,
+  findUnscoredLeadIds
+};
@@ -0,0 +1,143 @@
+// netlify/functions/lib/lead-screening.js
+// Duplicate and spam checks run by lib/lead-intake.js before a lead is saved.
+//
+// Duplicates: the same address plus the same email or phone within
+// DUPLICATE_WINDOW_DAYS. Comparisons use the normalized_email,
+// normalized_phone and normalized_address columns on the Leads table.
+//
+// Spam signals come from the index.html form: a hidden honeypot field that
+// people never fill in, and formElapsedMs (how long the page was open before
+// submitting, measured by the browser itself so a wrong device clock doesn't
+// matter) so submissions faster than any person can type are caught.
+const DUPLICATE_WINDOW_DAYS = 30;
+const MIN_FORM_SECONDS = 3;
+const MAX_SUBMISSIONS_PER_IP = 5;
+const RATE_LIMIT_WINDOW_MINUTES = 60;
+
+const HONEYPOT_FIELD = 'website';
+const TIMING_FIELD = 'formElapsedMs';
+
+const ADDRESS_ABBREVIATIONS = {
+  street: 'st', avenue: 'ave', road: 'rd', drive: 'dr', lane: 'ln', court: 'ct',
+  boulevard: 'blvd', place: 'pl', circle: 'cir', parkway: 'pkwy', highway: 'hwy',
+  terrace: 'ter', apartment: 'apt', suite: 'ste',
+  north: 'n', south: 's', east: 'e', west: 'w'
+};
+
+function normalizeEmail(email) {
+  return String(email || '').trim().toLowerCase();
+}
+
+// Digits only, without a leading US country code
+function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length === 11 && digits.startsWith('1') ? digits.substring(1) : digits;
+}
+
+// "123 North Main Street, Apt. 4, Charlotte NC 28202-1234" -> "123 n main st apt 4 charlotte nc 28202"
+function normalizeAddress(address) {
+  return String(address || '')
+    .toLowerCase()
+    .replace(/\b(\d{5})-\d{4}\b/g, '$1')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .map(word => ADDRESS_ABBREVIATIONS[word] || word)
+    .join(' ');
+}
+
+/**
+ * Reasons a submission looks automated, from the raw form fields.
+ * An empty array means nothing suspicious.
+ */
+function getSpamSignals(rawData) {
+  const data = rawData || {};
+  const reasons = [];
+
+  if (data[HONEYPOT_FIELD]) {
+    reasons.push('honeypot');
+  }
+
+  // Older pages without the timing field are not penalized
+  if (data[TIMING_FIELD]) {
+    const elapsedMs = parseInt(data[TIMING_FIELD]);
+    if (Number.isNaN(elapsedMs) || elapsedMs < 0) {
+      reasons.push('invalid_timing');
+    } else if (elapsedMs < MIN_FORM_SECONDS * 1000) {
+      reasons.push('too_fast');
+    }
+  }
+
+  return reasons;
+}
+
+// The earliest live lead this submission repeats, or null
+async function findDuplicateLead({ normalizedEmail, normalizedPhone, normalizedAddress }, now = new Date()) {
+  if (!normalizedAddress) {
+    return null;
+  }
+
+  const since = new Date(now.getTime() - DUPLICATE_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+  const contactMatches = [];
+  if (normalizedEmail) contactMatches.push(`normalized_email.eq."${normalizedEmail}"`);
+  if (normalizedPhone) contactMatches.push(`normalized_phone.eq.${normalizedPhone}`);
+  if (contactMatches.length === 0) {
+    return null;
+  }
+
+  const leads = await supabaseRequest(
+    `Leads?normalized_address=eq.${encodeURIComponent(normalizedAddress)}` +
+      `&or=(${encodeURIComponent(contactMatches.join(','))})` +
+      `&created_at=gte.${encodeURIComponent(since.toISOString())}` +
+      '&review_status=neq.rejected' +
+      '&status=eq.open' + // a withdrawn or closed request starts over as a new lead
+      '&select=id,photo_urls,submission_count,review_status&order=created_at.asc&limit=1'
+  );
+  return leads.length > 0 ? leads[0] : null;
+}
+
+// True once an IP has saved MAX_SUBMISSIONS_PER_IP leads in the window
+async function isRateLimited(ipAddress, now = new Date()) {
+  if (!ipAddress || ipAddress === 'unknown') {
+    return false;
+  }
+
+  const since = new Date(now.getTime() - RATE_LIMIT_WINDOW_MINUTES * 60 * 1000);
+  const recent = await supabaseRequest(
+    `Leads?submitter_ip=eq.${encodeURIComponent(ipAddress)}&created_at=gte.${encodeURIComponent(since.toISOString())}` +
+      `&select=id&limit=${MAX_SUBMISSIONS_PER_IP}`
+  );
+  return recent.length >= MAX_SUBMISSIONS_PER_IP;
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  DUPLICATE_WINDOW_DAYS,
+  MAX_SUBMISSIONS_PER_IP,
+  RATE_LIMIT_WINDOW_MINUTES,
+  normalizeEmail,
+  normalizePhone,
+  normalizeAddress,
+  getSpamSignals,
+  findDuplicateLead,
+  isRateLimited
+};
@@ -0,0 +1,96 @@
+// netlify/functions/lib/lead-status.js
+// The homeowner's side of a lead: the confirmation email with a private status
+// link, and the changes they can make from lead-status.html.
+//
+// Leads.status is 'open' (default), 'withdrawn' (the homeowner no longer wants
+// quotes) or 'closed' (they hired a company). Only open leads are shown to
+// companies. status_updated_at records the last change.
+const { signLeadStatusToken } = require('./auth');
+const { sendTemplateEmail } = require('./mailer');
+const { PROPERTY_TYPE_LABELS, TIMELINE_LABELS } = require('./leads');
+const { rescoreLead } = require('./lead-scoring');
+
+const STATUS_COLUMNS = 'id,first_name,property_type,timeline,details,zip_code,status,review_status,created_at,status_updated_at';
+
+// What each homeowner action sets status to
+const STATUS_ACTIONS = {
+  withdraw: 'withdrawn',
+  hired: 'closed'
+};
+
+function getLeadStatusUrl(leadId) {
+  return `${process.env.URL}/lead-status.html?token=${encodeURIComponent(signLeadStatusToken(leadId))}`;
+}
+
+// Best effort: a failed email never fails the submission
+async function sendLeadConfirmation(lead) {
+  try {
+    const result = await sendTemplateEmail('leadConfirmation', lead.email, {
+      firstName: lead.first_name,
+      propertyType: PROPERTY_TYPE_LABELS[lead.property_type] || 'Estate sale',
+      timeline: TIMELINE_LABELS[lead.timeline] || 'Timeline not given',
+      statusUrl: getLeadStatusUrl(lead.id)
+    });
+    if (!result.success) {
+      console.error(`Lead confirmation for lead ${lead.id} failed:`, result.error);
+    }
+    return result.success;
+  } catch (error) {
+    console.error('Lead confirmation error:', error);
+    return false;
+  }
+}
+
+// The lead as its homeowner may see it, or null. Rejected spam has no status page.
+async function getHomeownerLead(leadId) {
+  const leads = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&review_status=neq.rejected&select=${STATUS_COLUMNS}`
+  );
+  return leads.length > 0 ? leads[0] : null;
+}
+
+// Only open leads can change. Returns the updated lead, or null if it wasn't open.
+async function updateOpenLead(leadId, changes) {
+  const updated = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&status=eq.open&select=${STATUS_COLUMNS}`,
+    'PATCH',
+    { ...changes, status_updated_at: new Date().toISOString() }
+  );
+  if (updated.length === 0) {
+    return null;
+  }
+
+  // Timeline and details feed the quality score
+  if (changes.timeline || changes.details) {
+    await rescoreLead(leadId);
+  }
+  return updated[0];
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  STATUS_ACTIONS,
+  getLeadStatusUrl,
+  sendLeadConfirmation,
+  getHomeownerLead,
+  updateOpenLead
+};
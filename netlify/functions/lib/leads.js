@@ -0,0 +1,137 @@
+// netlify/functions/lib/leads.js
+// Leads table row mapping and the contact-detail visibility rules shared by
+// secure-leads-api.js and the lead digest emails.
+const { hasPermission } = require('./roles');
+const { isInExclusiveWindow, getExclusiveUntil, isExclusivePurchaser } = require('./exclusive-leads');
+
+const LEAD_COLUMNS = [
+  'id', 'first_name', 'last_name', 'email', 'phone', 'address', 'zip_code',
+  'street', 'city', 'state', 'latitude', 'longitude', 'quality_score', 'quality_breakdown',
+  'property_type', 'timeline', 'details', 'photo_urls', 'price',
+  'exclusive_purchased_by', 'exclusive_purchased_company_id', 'exclusive_purchase_date',
+  'created_at'
+].join(',');
+
+const PROPERTY_TYPE_LABELS = {
+  house: 'House',
+  condo: 'Condo',
+  apartment: 'Apartment',
+  storage: 'Storage unit',
+  other: 'Other property'
+};
+
+// Same wording as getTimelineText in company-portal.html
+const TIMELINE_LABELS = {
+  'asap': 'ASAP (2 weeks)',
+  'month': 'Within a month',
+  '1-3months': '1-3 months',
+  'flexible': 'Flexible timing',
+  'planning': 'Planning ahead'
+};
+
+// Map a Leads row to the camelCase shape company-portal.html renders
+function mapLeadRow(row) {
+  return {
+    id: row.id,
+    firstName: row.first_name,
+    lastName: row.last_name,
+    email: row.email,
+    phone: row.phone,
+    address: row.address,
+    street: row.street || null,
+    city: row.city || null,
+    state: row.state || null,
+    zipCode: row.zip_code,
+    latitude: row.latitude !== null && row.latitude !== undefined ? Number(row.latitude) : null,
+    longitude: row.longitude !== null && row.longitude !== undefined ? Number(row.longitude) : null,
+    // Null for leads saved before scoring; see lib/lead-scoring.js
+    qualityScore: row.quality_score !== null && row.quality_score !== undefined ? Number(row.quality_score) : null,
+    qualityBreakdown: row.quality_breakdown || null,
+    propertyType: row.property_type,
+    timeline: row.timeline,
+    details: row.details,
+    // Stored as a space-separated string of URLs
+    photos: (row.photo_urls || '').split(' ').filter(url => url.trim()),
+    dateSubmitted: row.created_at ? row.created_at.substring(0, 10) : null,
+    price: row.price !== null && row.price !== undefined ? Number(row.price) : undefined,
+    exclusivePurchasedBy: row.exclusive_purchased_by || null,
+    exclusivePurchasedCompanyId: row.exclusive_purchased_company_id || null,
+    exclusivePurchaseDate: row.exclusive_purchase_date || null,
+    created_at: row.created_at
+  };
+}
+
+// Sanitize lead data before sending to client
+function sanitizeLead(lead, user) {
+  // Exclusive purchase is offered during the first 24 hours
+  const now = new Date();
+  const exclusiveAvailable = isInExclusiveWindow(lead.created_at, now) && !lead.exclusivePurchasedBy;
+
+  // A purchase locks other companies out until exclusiveUntil
+  const exclusiveUntil = getExclusiveUntil(lead.exclusivePurchasedBy ? lead.exclusivePurchaseDate : null);
+  const isExclusive = exclusiveUntil !== null && now < exclusiveUntil;
+  const isPurchaser = isExclusivePurchaser(lead, user);
+
+  // Determine if user has access to contact information
+  // Billing-only members see the same listing without homeowner details.
+  // The buyer of an exclusive always keeps access, subscribed or not.
+  const hasContactAccess = hasPermission(user.role, 'leads:contact') &&
+    (isPurchaser || (user.subscriptionStatus === 'active' && !isExclusive));
+  
+  // Base lead information (always visible)
+  const sanitizedLead = {
+    id: lead.id,
+    propertyType: lead.propertyType,
+    timeline: lead.timeline,
+    details: lead.details || '',
+    photos: Array.isArray(lead.photos) ? lead.photos : [],
+    // The area is public; the street is a contact detail
+    city: lead.city || null,
+    state: lead.state || null,
+    zipCode: lead.zipCode,
+    dateSubmitted: lead.dateSubmitted,
+    qualityScore: lead.qualityScore !== undefined ? lead.qualityScore : null,
+    qualityBreakdown: lead.qualityBreakdown || null,
+    price: lead.price || 39.99,
+    isInExclusiveWindow: exclusiveAvailable,
+    hasContactAccess,
+    isExclusivePurchaser: isPurchaser,
+    // Only set while the exclusivity period is running
+    exclusivePurchasedBy: isExclusive ? lead.exclusivePurchasedBy : null,
+    exclusivePurchaseDate: isExclusive ? lead.exclusivePurchaseDate : null,
+    exclusiveUntil: isExclusive ? exclusiveUntil.toISOString() : null
+  };
+
+  // Only present on radius searches
+  if (lead.distanceMiles !== undefined) {
+    sanitizedLead.distanceMiles = lead.distanceMiles;
+  }
+
+  // Add contact information only if user has access
+  if (hasContactAccess) {
+    sanitizedLead.firstName = lead.firstName;
+    sanitizedLead.lastName = lead.lastName;
+    sanitizedLead.email = lead.email;
+    sanitizedLead.phone = lead.phone;
+    sanitizedLead.address = lead.address;
+    sanitizedLead.street = lead.street || null;
+  } else {
+    // Hide contact information
+    sanitizedLead.firstName = 'Subscribe';
+    sanitizedLead.lastName = 'to view';
+    sanitizedLead.email = 'subscription@required.com';
+    sanitizedLead.phone = '***-***-****';
+    sanitizedLead.address = 'Subscription required to view address';
+    sanitizedLead.street = null;
+  }
+
+  return sanitizedLead;
+}
+
+module.exports = {
+  LEAD_COLUMNS,
+  PROPERTY_TYPE_LABELS,
+  TIMELINE_LABELS,
+  mapLeadRow,
+  sanitizeLead
+};
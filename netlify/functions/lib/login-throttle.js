@@ -0,0 +1,195 @@
+// netlify/functions/lib/login-throttle.js
+// Failed sign in tracking shared by auth-login.js (passwords and 2FA codes) and
+// mfa-setup.js (codes to turn 2FA off). Failures count against both the
+// account's email and the client IP.
+//
+// Persisted in the LoginAttempts table
+// (identifier text primary key, failed_count int, last_failed_at timestamptz, locked_until timestamptz)
+// so that lockouts survive cold starts and can't be cleared by the client.
+
+const MAX_FAILED_ATTEMPTS = 5; // per email before lockout
+const MAX_FAILED_ATTEMPTS_PER_IP = 20; // per client IP before lockout
+const LOCKOUT_DURATION_MS = 15 * 60 * 1000; // 15 minutes
+const FAILURE_WINDOW_MS = LOCKOUT_DURATION_MS; // failures older than this are forgotten
+const PROGRESSIVE_DELAY_AFTER = 2; // failures before delays kick in
+const MAX_PROGRESSIVE_DELAY_SECONDS = 60;
+
+async function checkLoginThrottle(email, clientIP) {
+  try {
+    const now = Date.now();
+    const records = await getLoginAttempts([`email:${email}`, `ip:${clientIP}`]);
+
+    for (const record of records) {
+      // Hard lockout
+      if (record.locked_until && new Date(record.locked_until).getTime() > now) {
+        return {
+          allowed: false,
+          reason: 'locked',
+          lockedUntil: record.locked_until,
+          retryAfter: Math.ceil((new Date(record.locked_until).getTime() - now) / 1000)
+        };
+      }
+
+      // Progressive delay between attempts
+      const delaySeconds = getProgressiveDelay(getActiveFailedCount(record, now));
+      if (delaySeconds > 0 && record.last_failed_at) {
+        const nextAllowed = new Date(record.last_failed_at).getTime() + delaySeconds * 1000;
+        if (nextAllowed > now) {
+          return {
+            allowed: false,
+            reason: 'delay',
+            lockedUntil: null,
+            retryAfter: Math.ceil((nextAllowed - now) / 1000)
+          };
+        }
+      }
+    }
+
+    return { allowed: true };
+
+  } catch (error) {
+    // Don't lock everyone out if the attempts table is unavailable
+    console.error('Error checking login throttle:', error);
+    return { allowed: true };
+  }
+}
+
+// Failures only add up within FAILURE_WINDOW_MS of each other, and start over
+// once a lockout has run out - a typo weeks later starts from zero
+function getActiveFailedCount(record, now) {
+  if (!record || !record.failed_count) {
+    return 0;
+  }
+  const lockoutOver = record.locked_until && new Date(record.locked_until).getTime() <= now;
+  const stale = !record.last_failed_at || new Date(record.last_failed_at).getTime() < now - FAILURE_WINDOW_MS;
+  return lockoutOver || stale ? 0 : record.failed_count;
+}
+
+// 1s, 2s, 4s ... once PROGRESSIVE_DELAY_AFTER failures have been recorded
+function getProgressiveDelay(failedCount) {
+  if (!failedCount || failedCount < PROGRESSIVE_DELAY_AFTER) {
+    return 0;
+  }
+  return Math.min(Math.pow(2, failedCount - PROGRESSIVE_DELAY_AFTER), MAX_PROGRESSIVE_DELAY_SECONDS);
+}
+
+async function recordFailedLogin(email, clientIP) {
+  try {
+    const now = new Date();
+    const emailKey = `email:${email}`;
+    const ipKey = `ip:${clientIP}`;
+    const existing = await getLoginAttempts([emailKey, ipKey]);
+
+    const limits = { [emailKey]: MAX_FAILED_ATTEMPTS, [ipKey]: MAX_FAILED_ATTEMPTS_PER_IP };
+    const updates = [emailKey, ipKey].map(identifier => {
+      const record = existing.find(r => r.identifier === identifier);
+      
+      const failedCount = getActiveFailedCount(record, now.getTime()) + 1;
+      const lockedUntil = failedCount >= limits[identifier]
+        ? new Date(now.getTime() + LOCKOUT_DURATION_MS).toISOString()
+        : null;
+
+      return {
+        identifier: identifier,
+        failed_count: failedCount,
+        last_failed_at: now.toISOString(),
+        locked_until: lockedUntil
+      };
+    });
+
+    await upsertLoginAttempts(updates);
+
+    const emailRecord = updates[0];
+    const lockedUntil = updates.map(u => u.locked_until).filter(Boolean).sort().pop() || null;
+
+    return {
+      attemptsRemaining: Math.max(MAX_FAILED_ATTEMPTS - emailRecord.failed_count, 0),
+      lockedUntil: lockedUntil,
+      retryAfter: lockedUntil ? Math.ceil((new Date(lockedUntil).getTime() - now.getTime()) / 1000) : 0
+    };
+
+  } catch (error) {
+    console.error('Error recording failed login:', error);
+    return { attemptsRemaining: null, lockedUntil: null, retryAfter: 0 };
+  }
+}
+
+// A successful sign in clears the email's counter and takes one account's worth
+// of failures off the IP's, so a shared office IP doesn't keep collecting typos.
+// The IP counter isn't cleared outright, or one valid account would reset it.
+async function clearFailedLogins(email, clientIP = null) {
+  try {
+    await fetch(
+      `${process.env.SUPABASE_URL}/rest/v1/LoginAttempts?identifier=eq.${encodeURIComponent(`email:${email}`)}`,
+      {
+        method: 'DELETE',
+        headers: {
+          'apikey': process.env.SUPABASE_ANON_KEY,
+          'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          'Prefer': 'return=minimal'
+        }
+      }
+    );
+
+    if (clientIP) {
+      const [ipRecord] = await getLoginAttempts([`ip:${clientIP}`]);
+      const failedCount = getActiveFailedCount(ipRecord, Date.now());
+      if (ipRecord && ipRecord.failed_count > 0) {
+        await upsertLoginAttempts([{
+          identifier: ipRecord.identifier,
+          failed_count: Math.max(failedCount - MAX_FAILED_ATTEMPTS, 0),
+          last_failed_at: ipRecord.last_failed_at,
+          locked_until: ipRecord.locked_until
+        }]);
+      }
+    }
+  } catch (error) {
+    console.error('Error clearing failed logins:', error);
+  }
+}
+
+async function getLoginAttempts(identifiers) {
+  const list = identifiers.map(id => `"${id}"`).join(',');
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/LoginAttempts?identifier=in.(${encodeURIComponent(list)})&select=*`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Login attempts query failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+async function upsertLoginAttempts(records) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/LoginAttempts?on_conflict=identifier`,
+    {
+      method: 'POST',
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'resolution=merge-duplicates,return=minimal'
+      },
+      body: JSON.stringify(records)
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Login attempts update failed: ${response.status} - ${errorText}`);
+  }
+}
+
+module.exports = {
+  checkLoginThrottle,
+  recordFailedLogin,
+  clearFailedLogins
+};
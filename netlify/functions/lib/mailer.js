@@ -0,0 +1,206 @@
+// netlify/functions/lib/mailer.js
+// Shared transactional email sender.
+//
+// The provider is picked by MAIL_PROVIDER:
+//   'smtp'     SMTP_HOST, SMTP_PORT, SMTP_USER, SMTP_PASS, SMTP_SECURE ('true' for port 465)
+//   'http'     SendGrid-style JSON API: MAIL_API_KEY, MAIL_API_URL (defaults to SendGrid v3)
+//   'file'     writes each message as JSON under MAIL_FILE_DIR (local development)
+//   'console'  logs the message (default)
+// Messages are sent from MAIL_FROM.
+//
+// Every send is recorded in the Supabase EmailDeliveries table:
+//   id, template, recipient, subject, provider, provider_message_id,
+//   status ('sent' | 'failed'), error, created_at
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { renderTemplate } = require('./email-templates');
+
+const DEFAULT_FROM = 'Estate Sale Connect <info@estatesaleconnect.com>';
+const DEFAULT_API_URL = 'https://api.sendgrid.com/v3/mail/send';
+
+let smtpTransport = null;
+
+const smtpProvider = {
+  name: 'smtp',
+  async send(message) {
+    if (!process.env.SMTP_HOST) {
+      return { success: false, error: 'SMTP is not configured' };
+    }
+
+    if (!smtpTransport) {
+      const nodemailer = require('nodemailer');
+      smtpTransport = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+          ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+          : undefined
+      });
+    }
+
+    const info = await smtpTransport.sendMail(message);
+    if (info.rejected && info.rejected.length > 0) {
+      return { success: false, error: `Rejected by SMTP server: ${info.rejected.join(', ')}` };
+    }
+    return { success: true, id: info.messageId || null };
+  }
+};
+
+const httpProvider = {
+  name: 'http',
+  async send(message) {
+    if (!process.env.MAIL_API_KEY) {
+      return { success: false, error: 'Mail API is not configured' };
+    }
+
+    const response = await fetch(process.env.MAIL_API_URL || DEFAULT_API_URL, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Bearer ${process.env.MAIL_API_KEY}`,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        personalizations: [{ to: [{ email: message.to }] }],
+        from: parseAddress(message.from),
+        subject: message.subject,
+        content: [
+          { type: 'text/plain', value: message.text },
+          ...(message.html ? [{ type: 'text/html', value: message.html }] : [])
+        ]
+      })
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      return { success: false, error: `Mail API error: ${response.status} - ${errorText}` };
+    }
+    return { success: true, id: response.headers.get('x-message-id') || null };
+  }
+};
+
+const fileProvider = {
+  name: 'file',
+  async send(message) {
+    const dir = process.env.MAIL_FILE_DIR || path.join(os.tmpdir(), 'estate-sale-connect-mail');
+    const id = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    await fs.promises.mkdir(dir, { recursive: true });
+    await fs.promises.writeFile(path.join(dir, `${id}.json`), JSON.stringify(message, null, 2));
+    console.log(`📧 Email written to ${path.join(dir, `${id}.json`)}`);
+    return { success: true, id };
+  }
+};
+
+const consoleProvider = {
+  name: 'console',
+  async send(message) {
+    console.log('📧 Email Details:');
+    console.log('To:', message.to);
+    console.log('Subject:', message.subject);
+    console.log(message.text);
+    return { success: true, id: null };
+  }
+};
+
+const PROVIDERS = {
+  smtp: smtpProvider,
+  http: httpProvider,
+  file: fileProvider,
+  console: consoleProvider
+};
+
+// "Name <address>" -> { name, email }
+function parseAddress(address) {
+  const match = String(address).match(/^\s*(.*?)\s*<([^>]+)>\s*$/);
+  return match ? { name: match[1], email: match[2] } : { email: String(address).trim() };
+}
+
+function getProvider() {
+  const name = process.env.MAIL_PROVIDER || 'console';
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Unknown MAIL_PROVIDER: ${name}`);
+  }
+  return provider;
+}
+
+/**
+ * Send one email. Never throws: returns { success, id, provider } or
+ * { success: false, error, provider }, and records the outcome in EmailDeliveries.
+ */
+async function sendEmail({ to, subject, text, html, template = null }) {
+  const message = {
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    to,
+    subject,
+    text,
+    html
+  };
+
+  let result;
+  let providerName = process.env.MAIL_PROVIDER || 'console';
+  try {
+    const provider = getProvider();
+    providerName = provider.name;
+    result = await provider.send(message);
+  } catch (error) {
+    console.error('Email sending error:', error);
+    result = { success: false, error: error.message };
+  }
+
+  if (!result.success) {
+    console.log(`❌ Email to ${to} failed (${providerName}):`, result.error);
+  }
+
+  await recordDelivery({
+    template,
+    recipient: to,
+    subject,
+    provider: providerName,
+    provider_message_id: result.id || null,
+    status: result.success ? 'sent' : 'failed',
+    error: result.success ? null : result.error,
+    created_at: new Date().toISOString()
+  });
+
+  return { ...result, provider: providerName };
+}
+
+// Render a template from email-templates.js and send it
+async function sendTemplateEmail(templateName, to, variables) {
+  const { subject, text, html } = renderTemplate(templateName, variables);
+  return sendEmail({ to, subject, text, html, template: templateName });
+}
+
+// Delivery records are best effort - a logging failure shouldn't fail the send
+async function recordDelivery(delivery) {
+  if (!process.env.SUPABASE_URL) {
+    return;
+  }
+
+  try {
+    const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/EmailDeliveries`, {
+      method: 'POST',
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify(delivery)
+    });
+
+    if (!response.ok) {
+      console.error('Email delivery record failed:', response.status, await response.text());
+    }
+  } catch (error) {
+    console.error('Email delivery record error:', error);
+  }
+}
+
+module.exports = {
+  sendEmail,
+  sendTemplateEmail
+};
@@ -0,0 +1,220 @@
+// netlify/functions/lib/notifier.js
+// Sends notifications over email and SMS through swappable providers.
+//
+// Providers are picked per channel from the environment:
+//   NOTIFY_EMAIL_PROVIDER  'mailer' (default, see lib/mailer.js) | 'console' | 'fake'
+//   NOTIFY_SMS_PROVIDER    'twilio' | 'console' (default) | 'fake'
+// The fake provider keeps messages in memory (fakeProvider.sent) so the whole
+// flow can be exercised locally without sending anything.
+const { sendEmail } = require('./mailer');
+
+const DEFAULT_PREFERENCES = {
+  channels: ['email'],
+  smsPhone: null,
+  frequency: 'instant',
+  quietHours: {
+    enabled: false,
+    start: '21:00',
+    end: '07:00',
+    timezone: 'America/New_York'
+  }
+};
+
+const CHANNELS = ['email', 'sms'];
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+
+// Email through the shared transactional mailer
+const mailerProvider = {
+  name: 'mailer',
+  async send(channel, message) {
+    return sendEmail(message);
+  }
+};
+
+// Logs instead of sending
+const consoleProvider = {
+  name: 'console',
+  async send(channel, message) {
+    console.log(`📨 [${channel}] to ${message.to}: ${message.subject || message.text}`);
+    return { success: true, id: null };
+  }
+};
+
+// Records messages in memory. Set failNext to simulate a provider error.
+const fakeProvider = {
+  name: 'fake',
+  sent: [],
+  failNext: null,
+  async send(channel, message) {
+    if (this.failNext) {
+      const error = this.failNext;
+      this.failNext = null;
+      return { success: false, error };
+    }
+    const id = `fake_${this.sent.length + 1}`;
+    this.sent.push({ id, channel, ...message });
+    return { success: true, id };
+  },
+  reset() {
+    this.sent = [];
+    this.failNext = null;
+  }
+};
+
+// Twilio Messages API
+const twilioProvider = {
+  name: 'twilio',
+  async send(channel, message) {
+    const accountSid = process.env.TWILIO_ACCOUNT_SID;
+    const authToken = process.env.TWILIO_AUTH_TOKEN;
+    const from = process.env.TWILIO_FROM_NUMBER;
+    if (!accountSid || !authToken || !from) {
+      return { success: false, error: 'Twilio is not configured' };
+    }
+
+    const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+      method: 'POST',
+      headers: {
+        'Authorization': `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+        'Content-Type': 'application/x-www-form-urlencoded'
+      },
+      body: new URLSearchParams({ To: message.to, From: from, Body: message.text }).toString()
+    });
+
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok) {
+      return { success: false, error: data.message || `Twilio error: ${response.status}` };
+    }
+    return { success: true, id: data.sid || null };
+  }
+};
+
+const PROVIDERS = {
+  email: { mailer: mailerProvider, console: consoleProvider, fake: fakeProvider },
+  sms: { console: consoleProvider, fake: fakeProvider, twilio: twilioProvider }
+};
+
+/**
+ * Build a notifier. providers maps channel -> provider; anything not given
+ * comes from NOTIFY_EMAIL_PROVIDER / NOTIFY_SMS_PROVIDER.
+ */
+function createNotifier(providers = {}) {
+  const resolved = {
+    email: providers.email || PROVIDERS.email[process.env.NOTIFY_EMAIL_PROVIDER || 'mailer'],
+    sms: providers.sms || PROVIDERS.sms[process.env.NOTIFY_SMS_PROVIDER || 'console']
+  };
+
+  return {
+    // Returns { success, id, provider } or { success: false, error }
+    async send(channel, message) {
+      const provider = resolved[channel];
+      if (!provider) {
+        return { success: false, error: `No provider configured for ${channel}` };
+      }
+
+      try {
+        const result = await provider.send(channel, message);
+        return { ...result, provider: provider.name };
+      } catch (error) {
+        console.error(`Notification provider ${provider.name} failed:`, error);
+        return { success: false, error: error.message, provider: provider.name };
+      }
+    }
+  };
+}
+
+/**
+ * Validate and fill in notification preferences.
+ * Returns { preferences, errors }.
+ */
+function normalizePreferences(input) {
+  const source = input && typeof input === 'object' ? input : {};
+  const quietSource = source.quietHours && typeof source.quietHours === 'object' ? source.quietHours : {};
+  const errors = [];
+
+  const channels = Array.isArray(source.channels)
+    ? [...new Set(source.channels)]
+    : DEFAULT_PREFERENCES.channels;
+  if (channels.some(channel => !CHANNELS.includes(channel))) {
+    errors.push('channels may only include email and sms');
+  }
+
+  const frequency = source.frequency || DEFAULT_PREFERENCES.frequency;
+  if (!FREQUENCIES.includes(frequency)) {
+    errors.push('frequency must be instant, daily or weekly');
+  }
+
+  let smsPhone = null;
+  if (source.smsPhone) {
+    smsPhone = String(source.smsPhone).replace(/[^0-9+]/g, '');
+    if (!/^\+?1?\d{10}$/.test(smsPhone)) {
+      errors.push('smsPhone must be a 10-digit US phone number');
+    } else if (!smsPhone.startsWith('+')) {
+      smsPhone = `+1${smsPhone.slice(-10)}`;
+    }
+  }
+
+  const quietHours = { ...DEFAULT_PREFERENCES.quietHours, ...quietSource, enabled: quietSource.enabled === true };
+  const timePattern = /^([01]\d|2[0-3]):[0-5]\d$/;
+  if (!timePattern.test(quietHours.start) || !timePattern.test(quietHours.end)) {
+    errors.push('quiet hours must be HH:MM times');
+  }
+  if (!isValidTimezone(quietHours.timezone)) {
+    errors.push('Invalid quiet hours timezone');
+  }
+
+  return {
+    preferences: {
+      channels,
+      smsPhone,
+      frequency,
+      quietHours: {
+        enabled: quietHours.enabled,
+        start: quietHours.start,
+        end: quietHours.end,
+        timezone: quietHours.timezone
+      }
+    },
+    errors
+  };
+}
+
+function isValidTimezone(timezone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return typeof timezone === 'string';
+  } catch (error) {
+    return false;
+  }
+}
+
+// Whether `date` falls inside the company's quiet hours, in the company's timezone.
+// A window like 21:00-07:00 wraps past midnight.
+function isInQuietHours(preferences, date = new Date()) {
+  const quietHours = preferences && preferences.quietHours;
+  if (!quietHours || !quietHours.enabled || quietHours.start === quietHours.end) {
+    return false;
+  }
+
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: quietHours.timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23'
+  }).format(date);
+
+  if (quietHours.start < quietHours.end) {
+    return localTime >= quietHours.start && localTime < quietHours.end;
+  }
+  return localTime >= quietHours.start || localTime < quietHours.end;
+}
+
+module.exports = {
+  DEFAULT_PREFERENCES,
+  CHANNELS,
+  FREQUENCIES,
+  fakeProvider,
+  createNotifier,
+  normalizePreferences,
+  isInQuietHours
+};
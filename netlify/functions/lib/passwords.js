@@ -0,0 +1,26 @@
+// netlify/functions/lib/passwords.js
+// Password policy shared by company signup, invite acceptance and password reset.
+
+const PASSWORD_REGEX = /^(?=.*[a-z])(?=.*[A-Z])(?=.*\d)[a-zA-Z\d@$!%*?&]{8,}$/;
+
+// Returns a list of error messages; empty when the password is acceptable
+function validatePassword(password, confirmPassword) {
+  const errors = [];
+
+  if (!password || typeof password !== 'string') {
+    errors.push('password is required');
+    return errors;
+  }
+
+  if (!PASSWORD_REGEX.test(password)) {
+    errors.push('Password must be at least 8 characters with uppercase, lowercase, and number');
+  } else if (password !== confirmPassword) {
+    errors.push('Passwords do not match');
+  }
+
+  return errors;
+}
+
+module.exports = {
+  validatePassword
+};
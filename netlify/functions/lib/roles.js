@@ -0,0 +1,41 @@
+// netlify/functions/lib/roles.js
+// Team roles within a company account and what each one may do.
+//
+// The company's own sign-in (the Companies row) is the owner. Everyone else
+// is a CompanyUsers row invited by the owner or an admin.
+const ROLES = ['owner', 'admin', 'agent', 'billing'];
+
+const PERMISSIONS = {
+  'leads:view': ['owner', 'admin', 'agent', 'billing'],
+  'leads:contact': ['owner', 'admin', 'agent'],
+  'leads:purchase_exclusive': ['owner', 'billing'],
+  'billing:manage': ['owner', 'billing'],
+  'team:manage': ['owner', 'admin'],
+  'service_areas:manage': ['owner', 'admin'],
+  'notifications:manage': ['owner', 'admin']
+};
+
+// Roles that may be given to an invited member, by the role of the person assigning it
+const ASSIGNABLE_ROLES = {
+  owner: ['admin', 'agent', 'billing'],
+  admin: ['agent', 'billing']
+};
+
+function isValidRole(role) {
+  return ROLES.includes(role);
+}
+
+function hasPermission(role, permission) {
+  return (PERMISSIONS[permission] || []).includes(role);
+}
+
+function canAssignRole(actorRole, role) {
+  return (ASSIGNABLE_ROLES[actorRole] || []).includes(role);
+}
+
+module.exports = {
+  ROLES,
+  isValidRole,
+  hasPermission,
+  canAssignRole
+};
@@ -0,0 +1,249 @@
+// netlify/functions/lib/service-areas.js
+// Turns a company's free-text service areas ("Charlotte, Mecklenburg County, 28202")
+// into structured ZIP codes, counties and cities, and expands them to the set of
+// ZIP codes that leads are matched against.
+//
+// Cities come from data/zip-centroids.json; counties from data/county-zips.json
+// (see data/county-zips.LICENSE).
+const { getZipCentroid } = require('./zip-geo');
+
+// Keeps one company from claiming most of the country
+const MAX_SERVICE_AREA_ZIPS = 5000;
+
+const STATE_NAMES = {
+  AL: 'Alabama', AK: 'Alaska', AZ: 'Arizona', AR: 'Arkansas', CA: 'California',
+  CO: 'Colorado', CT: 'Connecticut', DE: 'Delaware', DC: 'District of Columbia',
+  FL: 'Florida', GA: 'Georgia', HI: 'Hawaii', ID: 'Idaho', IL: 'Illinois',
+  IN: 'Indiana', IA: 'Iowa', KS: 'Kansas', KY: 'Kentucky', LA: 'Louisiana',
+  ME: 'Maine', MD: 'Maryland', MA: 'Massachusetts', MI: 'Michigan', MN: 'Minnesota',
+  MS: 'Mississippi', MO: 'Missouri', MT: 'Montana', NE: 'Nebraska', NV: 'Nevada',
+  NH: 'New Hampshire', NJ: 'New Jersey', NM: 'New Mexico', NY: 'New York',
+  NC: 'North Carolina', ND: 'North Dakota', OH: 'Ohio', OK: 'Oklahoma', OR: 'Oregon',
+  PA: 'Pennsylvania', PR: 'Puerto Rico', RI: 'Rhode Island', SC: 'South Carolina',
+  SD: 'South Dakota', TN: 'Tennessee', TX: 'Texas', UT: 'Utah', VT: 'Vermont',
+  VA: 'Virginia', WA: 'Washington', WV: 'West Virginia', WI: 'Wisconsin', WY: 'Wyoming'
+};
+
+const STATE_CODES_BY_NAME = Object.fromEntries(
+  Object.entries(STATE_NAMES).map(([code, name]) => [name.toLowerCase(), code])
+);
+
+// What a county is called, for the states where it isn't "County"
+const COUNTY_SUFFIXES = { LA: 'Parish', AK: 'Borough' };
+const COUNTY_PATTERN = /^(.+?)\s+(county|parish|borough)$/i;
+
+let cityIndex = null;
+let countyIndex = null;
+
+// "St. Matthews" and "Saint Matthews" should be the same place
+function normalizePlaceName(name) {
+  return String(name || '')
+    .toLowerCase()
+    .replace(/\bst\.?\s/g, 'saint ')
+    .replace(/\bft\.?\s/g, 'fort ')
+    .replace(/\bmt\.?\s/g, 'mount ')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// normalized city -> Map of state -> { name, zips }
+function getCityIndex() {
+  if (!cityIndex) {
+    cityIndex = new Map();
+    for (const [zip, entry] of Object.entries(require('../data/zip-centroids.json'))) {
+      const key = normalizePlaceName(entry[2]);
+      if (!cityIndex.has(key)) cityIndex.set(key, new Map());
+      const byState = cityIndex.get(key);
+      if (!byState.has(entry[3])) byState.set(entry[3], { name: entry[2], zips: [] });
+      byState.get(entry[3]).zips.push(zip);
+    }
+  }
+  return cityIndex;
+}
+
+// normalized county -> Map of state -> { name, zips }
+function getCountyIndex() {
+  if (!countyIndex) {
+    countyIndex = new Map();
+    for (const [label, zips] of Object.entries(require('../data/county-zips.json'))) {
+      const [name, state] = label.split(', ');
+      const key = normalizePlaceName(name);
+      if (!countyIndex.has(key)) countyIndex.set(key, new Map());
+      countyIndex.get(key).set(state, { name, zips });
+    }
+  }
+  return countyIndex;
+}
+
+function toStateCode(value) {
+  const cleaned = String(value || '').trim();
+  if (/^[a-z]{2}$/i.test(cleaned) && STATE_NAMES[cleaned.toUpperCase()]) {
+    return cleaned.toUpperCase();
+  }
+  return STATE_CODES_BY_NAME[cleaned.toLowerCase()] || null;
+}
+
+// Split "Charlotte NC" / "Charlotte, North Carolina" into a place and a state
+function splitTrailingState(text) {
+  const words = text.split(/\s+/);
+  for (const take of [1, 2, 3]) {
+    if (words.length <= take) break;
+    const state = toStateCode(words.slice(-take).join(' '));
+    if (state) {
+      return { place: words.slice(0, -take).join(' '), state };
+    }
+  }
+  return { place: text, state: null };
+}
+
+// Break the text into { zip } and { place, state } entries. A state on its own
+// ("Charlotte, NC") belongs to the entry before it.
+function tokenize(text) {
+  const entries = [];
+
+  for (const segment of String(text || '').split(/[\n;|]+/)) {
+    for (const rawToken of segment.split(',')) {
+      let token = rawToken.replace(/<[^>]*>/g, '').trim();
+      if (!token) continue;
+
+      const zips = token.match(/\b\d{5}\b/g) || [];
+      token = token.replace(/\b\d{5}(-\d{4})?\b/g, ' ').replace(/\s+/g, ' ').trim();
+
+      // "Washington" on its own is still a place
+      const loneState = toStateCode(token);
+      const previous = entries[entries.length - 1];
+      if (loneState && previous && previous.place && !previous.state) {
+        previous.state = loneState;
+        token = '';
+      } else if (loneState && token.length === 2) {
+        token = '';
+      }
+
+      if (token) {
+        entries.push({ ...splitTrailingState(token), raw: rawToken.trim() });
+      }
+      zips.forEach(zip => entries.push({ zip }));
+    }
+  }
+
+  return entries;
+}
+
+// Pick the state for a place: the one given, else the only state that has it,
+// else the state most of the other entries are in
+function resolveState(byState, state, defaultState) {
+  if (!byState) return null;
+  if (state) return byState.has(state) ? state : null;
+  if (byState.size === 1) return [...byState.keys()][0];
+  if (defaultState && byState.has(defaultState)) return defaultState;
+  return null;
+}
+
+/**
+ * Parse free-text service areas.
+ * Returns { zipCodes, counties: [{ name, state }], cities: [{ name, state }], unrecognized }
+ * where unrecognized lists the entries that couldn't be matched to a place.
+ * fallbackState settles ambiguous names when the text itself names no state.
+ */
+function parseServiceAreas(text, fallbackState = null) {
+  const entries = tokenize(text);
+  const zipCodes = new Set();
+  const counties = new Map();
+  const cities = new Map();
+  const unrecognized = [];
+
+  // Most common state among ZIPs and explicit states settles "Charlotte" vs "Charlotte, MI"
+  const stateCounts = {};
+  for (const entry of entries) {
+    const centroid = entry.zip ? getZipCentroid(entry.zip) : null;
+    const state = centroid ? centroid.state : entry.state;
+    if (state) stateCounts[state] = (stateCounts[state] || 0) + 1;
+  }
+  const defaultState = Object.keys(stateCounts).sort((a, b) => stateCounts[b] - stateCounts[a])[0] || fallbackState;
+
+  for (const entry of entries) {
+    if (entry.zip) {
+      if (getZipCentroid(entry.zip)) {
+        zipCodes.add(entry.zip);
+      } else {
+        unrecognized.push(entry.zip);
+      }
+      continue;
+    }
+
+    const countyMatch = entry.place.match(COUNTY_PATTERN);
+    if (countyMatch) {
+      const byState = getCountyIndex().get(normalizePlaceName(countyMatch[1]));
+      const state = resolveState(byState, entry.state, defaultState);
+      if (state) {
+        const county = byState.get(state);
+        counties.set(`${county.name}, ${state}`, { name: county.name, state });
+        continue;
+      }
+    } else {
+      const byState = getCityIndex().get(normalizePlaceName(entry.place));
+      const state = resolveState(byState, entry.state, defaultState);
+      if (state) {
+        const city = byState.get(state);
+        cities.set(`${city.name}, ${state}`, { name: city.name, state });
+        continue;
+      }
+    }
+
+    unrecognized.push(entry.raw);
+  }
+
+  return {
+    zipCodes: [...zipCodes].sort(),
+    counties: [...counties.values()],
+    cities: [...cities.values()],
+    unrecognized
+  };
+}
+
+// Every ZIP code covered by parsed service areas, sorted
+function expandServiceAreaZips({ zipCodes = [], counties = [], cities = [] }) {
+  const zips = new Set(zipCodes);
+
+  for (const { name, state } of counties) {
+    const byState = getCountyIndex().get(normalizePlaceName(name));
+    const county = byState && byState.get(state);
+    if (county) county.zips.forEach(zip => zips.add(zip));
+  }
+
+  for (const { name, state } of cities) {
+    const byState = getCityIndex().get(normalizePlaceName(name));
+    const city = byState && byState.get(state);
+    if (city) city.zips.forEach(zip => zips.add(zip));
+  }
+
+  return [...zips].sort();
+}
+
+// { name, state, zips } for a city in a state, or null if the dataset doesn't have it
+function findCity(name, state) {
+  const byState = getCityIndex().get(normalizePlaceName(name));
+  const city = byState && byState.get(state);
+  return city ? { name: city.name, state, zips: city.zips } : null;
+}
+
+// Human-readable list, e.g. ["Charlotte, NC", "Mecklenburg County, NC", "28202"]
+function describeServiceAreas({ zipCodes = [], counties = [], cities = [] }) {
+  return [
+    ...cities.map(city => `${city.name}, ${city.state}`),
+    ...counties.map(county => `${county.name} ${COUNTY_SUFFIXES[county.state] || 'County'}, ${county.state}`),
+    ...zipCodes
+  ];
+}
+
+module.exports = {
+  MAX_SERVICE_AREA_ZIPS,
+  STATE_NAMES,
+  parseServiceAreas,
+  expandServiceAreaZips,
+  describeServiceAreas,
+  findCity,
+  toStateCode,
+  splitTrailingState
+};
@@ -0,0 +1,225 @@
+// netlify/functions/lib/sessions.js
+// Server-side sessions backing refresh tokens.
+//
+// Each sign-in creates a row in the Supabase Sessions table:
+//   id uuid primary key, company_id, member_id, refresh_token_hash, previous_refresh_token_hash,
+//   user_agent, ip_address, created_at, last_used_at, expires_at, revoked_at
+// member_id is null for the company owner and set for invited team members.
+// Access tokens carry the session id as `sid`, so revoking the row rejects them too.
+const crypto = require('crypto');
+
+const ACCESS_TOKEN_TTL_SECONDS = 15 * 60; // 15 minutes
+const REFRESH_TOKEN_TTL_MS = 30 * 24 * 60 * 60 * 1000; // 30 days
+
+function supabaseHeaders(extra = {}) {
+  return {
+    'apikey': process.env.SUPABASE_ANON_KEY,
+    'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+    ...extra
+  };
+}
+
+// Refresh tokens are only stored hashed
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Resolve the caller's IP from Netlify's forwarding headers
+function getClientIP(event) {
+  const headers = event.headers || {};
+  const forwarded = headers['x-nf-client-connection-ip'] || headers['client-ip'] || headers['x-forwarded-for'] || '';
+  return forwarded.split(',')[0].trim() || 'unknown';
+}
+
+function getUserAgent(event) {
+  const headers = event.headers || {};
+  return (headers['user-agent'] || headers['User-Agent'] || 'unknown').substring(0, 255);
+}
+
+// Create a session for a company login and return its first refresh token
+async function createSession(companyId, event, memberId = null) {
+  const now = new Date();
+  const refreshToken = crypto.randomBytes(48).toString('hex');
+  const session = {
+    id: crypto.randomUUID(),
+    company_id: companyId,
+    member_id: memberId,
+    refresh_token_hash: hashToken(refreshToken),
+    previous_refresh_token_hash: null,
+    user_agent: getUserAgent(event),
+    ip_address: getClientIP(event),
+    created_at: now.toISOString(),
+    last_used_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + REFRESH_TOKEN_TTL_MS).toISOString(),
+    revoked_at: null
+  };
+
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/Sessions`, {
+    method: 'POST',
+    headers: supabaseHeaders({
+      'Content-Type': 'application/json',
+      'Prefer': 'return=minimal'
+    }),
+    body: JSON.stringify(session)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Session create failed: ${response.status} - ${errorText}`);
+  }
+
+  return {
+    sessionId: session.id,
+    refreshToken: refreshToken,
+    expiresAt: session.expires_at
+  };
+}
+
+async function findSession(filter) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Sessions?${filter}&select=*`,
+    { headers: supabaseHeaders() }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Session query failed: ${response.status}`);
+  }
+
+  const sessions = await response.json();
+  return sessions.length > 0 ? sessions[0] : null;
+}
+
+async function getSession(sessionId) {
+  return findSession(`id=eq.${encodeURIComponent(sessionId)}`);
+}
+
+function isUsable(session) {
+  return Boolean(session) && !session.revoked_at && new Date(session.expires_at).getTime() > Date.now();
+}
+
+// Exchange a refresh token for a new one. A token that was already rotated
+// out means it has leaked, so the whole session is revoked.
+async function rotateSession(refreshToken, event) {
+  if (!refreshToken || typeof refreshToken !== 'string') {
+    return { success: false, error: 'No refresh token provided' };
+  }
+
+  const tokenHash = hashToken(refreshToken);
+  const session = await findSession(`refresh_token_hash=eq.${tokenHash}`);
+
+  if (!session) {
+    const reused = await findSession(`previous_refresh_token_hash=eq.${tokenHash}`);
+    if (reused) {
+      console.log('⚠️ Refresh token reuse detected, revoking session:', reused.id);
+      await revokeSession(reused.id);
+    }
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  if (!isUsable(session)) {
+    return { success: false, error: 'Session expired or revoked' };
+  }
+
+  const newRefreshToken = crypto.randomBytes(48).toString('hex');
+
+  // Conditional on the current hash so two concurrent refreshes can't both win
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Sessions?id=eq.${session.id}&refresh_token_hash=eq.${tokenHash}`,
+    {
+      method: 'PATCH',
+      headers: supabaseHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=representation'
+      }),
+      body: JSON.stringify({
+        refresh_token_hash: hashToken(newRefreshToken),
+        previous_refresh_token_hash: tokenHash,
+        ip_address: getClientIP(event),
+        user_agent: getUserAgent(event),
+        last_used_at: new Date().toISOString()
+      })
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Session rotate failed: ${response.status} - ${errorText}`);
+  }
+
+  const updated = await response.json();
+  if (updated.length === 0) {
+    return { success: false, error: 'Invalid refresh token' };
+  }
+
+  return {
+    success: true,
+    session: updated[0],
+    refreshToken: newRefreshToken
+  };
+}
+
+// Access tokens are only valid while their session is
+async function isSessionActive(decoded) {
+  // Demo accounts have no database row
+  if (decoded.demo && process.env.DEMO_MODE === 'true') {
+    return true;
+  }
+
+  if (!decoded.sid) {
+    return false;
+  }
+
+  const session = await getSession(decoded.sid);
+  return isUsable(session) &&
+    String(session.company_id) === String(decoded.userId) &&
+    String(session.member_id || '') === String(decoded.memberId || '');
+}
+
+async function revokeSession(sessionId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Sessions?id=eq.${encodeURIComponent(sessionId)}&revoked_at=is.null`,
+    {
+      method: 'PATCH',
+      headers: supabaseHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      }),
+      body: JSON.stringify({ revoked_at: new Date().toISOString() })
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Session revoke failed: ${response.status}`);
+  }
+}
+
+// Sign out all devices for one login (the owner when memberId is null)
+async function revokeAllSessions(companyId, memberId = null) {
+  const memberFilter = memberId ? `member_id=eq.${encodeURIComponent(memberId)}` : 'member_id=is.null';
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Sessions?company_id=eq.${encodeURIComponent(companyId)}&${memberFilter}&revoked_at=is.null`,
+    {
+      method: 'PATCH',
+      headers: supabaseHeaders({
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      }),
+      body: JSON.stringify({ revoked_at: new Date().toISOString() })
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Session revoke failed: ${response.status}`);
+  }
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL_SECONDS,
+  getClientIP,
+  createSession,
+  rotateSession,
+  getSession,
+  isSessionActive,
+  revokeSession,
+  revokeAllSessions
+};
@@ -0,0 +1,385 @@
+// netlify/functions/lib/stripe-events.js
+// Stripe event handling shared by stripe-webhook.js and the replay script
+// (scripts/replay-stripe-events.js).
+//
+// Every event is recorded in the Supabase stripe_events table:
+//   id (Stripe event id), type, status ('processing' | 'processed' | 'failed'),
+//   payload (jsonb), attempts, error, created_at, last_attempt_at, processed_at
+// Processed events are skipped on redelivery. Handlers throw on database
+// errors so the event is marked failed and the webhook returns non-2xx,
+// which makes Stripe retry.
+//
+// Paid invoices go to the Supabase Payments ledger:
+//   id, company_id, stripe_invoice_id (unique), stripe_subscription_id, amount
+//   (cents), currency, period_start, period_end, invoice_url, invoice_pdf,
+//   status, paid_at, created_at
+//
+// An exclusive checkout that completes after another company already bought the
+// lead is refunded in full. The refund uses the session id as its idempotency
+// key, so a retried or replayed event can't refund twice.
+const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+const { releaseExclusiveHold, clearedHold } = require('./exclusive-leads');
+const { startGracePeriod, clearGracePeriod, sendDunningEmail } = require('./dunning');
+const { sendTemplateEmail } = require('./mailer');
+const { recordLeadActivity } = require('./lead-activity');
+
+// A 'processing' row older than this is treated as a crashed attempt
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+const HANDLERS = {
+  'checkout.session.completed': handleCheckoutCompleted,
+  'checkout.session.expired': handleCheckoutExpired,
+  'customer.subscription.created': handleSubscriptionCreated,
+  'customer.subscription.updated': handleSubscriptionUpdated,
+  'customer.subscription.deleted': handleSubscriptionDeleted,
+  'invoice.payment_succeeded': handlePaymentSucceeded,
+  'invoice.payment_failed': handlePaymentFailed
+};
+
+/**
+ * Record and handle one Stripe event.
+ * Returns { status: 'processed' | 'duplicate' | 'in_progress' }; throws if the
+ * handler fails (the event is left as 'failed' for retry or replay).
+ */
+async function processStripeEvent(stripeEvent) {
+  const claim = await claimEvent(stripeEvent);
+  if (claim !== 'claimed') {
+    console.log(`⏭️ Stripe event ${stripeEvent.id} skipped: ${claim}`);
+    return { status: claim };
+  }
+
+  try {
+    await handleStripeEvent(stripeEvent);
+  } catch (error) {
+    await updateEvent(stripeEvent.id, { status: 'failed', error: error.message });
+    throw error;
+  }
+
+  await updateEvent(stripeEvent.id, {
+    status: 'processed',
+    error: null,
+    processed_at: new Date().toISOString()
+  });
+  return { status: 'processed' };
+}
+
+async function handleStripeEvent(stripeEvent) {
+  const handler = HANDLERS[stripeEvent.type];
+  if (!handler) {
+    console.log(`Unhandled event type: ${stripeEvent.type}`);
+    return;
+  }
+  await handler(stripeEvent.data.object);
+}
+
+// Insert the event row, or take over a failed / stale attempt.
+// Returns 'claimed', 'duplicate' (already processed) or 'in_progress'.
+async function claimEvent(stripeEvent) {
+  const now = new Date().toISOString();
+  const inserted = await supabaseRequest('stripe_events', 'POST', {
+    id: stripeEvent.id,
+    type: stripeEvent.type,
+    status: 'processing',
+    payload: stripeEvent,
+    attempts: 1,
+    created_at: now,
+    last_attempt_at: now
+  }, 'resolution=ignore-duplicates,return=representation');
+  if (inserted.length > 0) {
+    return 'claimed';
+  }
+
+  const existing = await findEvent(stripeEvent.id);
+  if (!existing || existing.status === 'processed') {
+    return 'duplicate';
+  }
+  if (existing.status === 'processing' &&
+      Date.now() - new Date(existing.last_attempt_at).getTime() < STALE_PROCESSING_MS) {
+    return 'in_progress';
+  }
+
+  // attempts doubles as a version number so only one retry wins the claim
+  const claimed = await supabaseRequest(
+    `stripe_events?id=eq.${encodeURIComponent(stripeEvent.id)}&attempts=eq.${existing.attempts}&status=neq.processed`,
+    'PATCH',
+    { status: 'processing', attempts: existing.attempts + 1, last_attempt_at: now }
+  );
+  return claimed.length > 0 ? 'claimed' : 'in_progress';
+}
+
+async function findEvent(eventId) {
+  const events = await supabaseRequest(
+    `stripe_events?id=eq.${encodeURIComponent(eventId)}&select=id,type,status,payload,attempts,error,last_attempt_at`
+  );
+  return events.length > 0 ? events[0] : null;
+}
+
+async function listFailedEvents(limit = 50) {
+  return supabaseRequest(
+    `stripe_events?status=eq.failed&select=id,type,status,payload,attempts,error,last_attempt_at&order=created_at.asc&limit=${limit}`
+  );
+}
+
+async function updateEvent(eventId, updates) {
+  await supabaseRequest(`stripe_events?id=eq.${encodeURIComponent(eventId)}`, 'PATCH', updates);
+}
+
+// Handle completed checkout sessions
+async function handleCheckoutCompleted(session) {
+  console.log('Checkout completed:', session.id);
+
+  const { type, companyId, companyName, leadId } = session.metadata;
+
+  if (type === 'exclusive' && leadId) {
+    // Update lead as exclusively purchased
+    await updateLeadExclusivePurchase(leadId, companyName, session);
+  } else if (type === 'subscription') {
+    // Create or update company subscription
+    await updateCompanySubscription(companyId, session);
+  }
+}
+
+// Abandoned exclusive checkouts free the lead for other companies
+async function handleCheckoutExpired(session) {
+  console.log('Checkout expired:', session.id);
+
+  const { type, leadId } = session.metadata || {};
+  if (type === 'exclusive' && leadId) {
+    await releaseExclusiveHold(leadId, { sessionId: session.id });
+  }
+}
+
+// Handle subscription creation
+async function handleSubscriptionCreated(subscription) {
+  console.log('Subscription created:', subscription.id);
+
+  // Stripe's own status, so a late or replayed event can't mark a past_due or
+  // incomplete subscription active
+  await updateCompanySubscriptionStatus(subscription, subscription.status);
+}
+
+// Handle subscription updates
+async function handleSubscriptionUpdated(subscription) {
+  console.log('Subscription updated:', subscription.id);
+
+  await updateCompanySubscriptionStatus(subscription, subscription.status);
+}
+
+// Handle subscription cancellation
+async function handleSubscriptionDeleted(subscription) {
+  console.log('Subscription deleted:', subscription.id);
+
+  await updateCompanySubscriptionStatus(subscription, 'cancelled');
+}
+
+// Handle successful payments: ledger row, receipt, and end of any grace period
+async function handlePaymentSucceeded(invoice) {
+  console.log('Payment succeeded:', invoice.id);
+
+  const { filter, subscriptionId } = getInvoiceCompany(invoice);
+  const companies = await supabaseRequest(`Companies?${filter}&select=id,email,company_name`);
+  if (companies.length === 0) {
+    throw new Error(`No company found for invoice ${invoice.id}`);
+  }
+  const company = companies[0];
+
+  // Subscription invoices bill the period of their line item
+  const line = invoice.lines && invoice.lines.data && invoice.lines.data[0];
+  const period = line && line.period ? line.period : { start: invoice.period_start, end: invoice.period_end };
+
+  const recorded = await supabaseRequest('Payments?on_conflict=stripe_invoice_id', 'POST', {
+    company_id: company.id,
+    stripe_invoice_id: invoice.id,
+    stripe_subscription_id: subscriptionId,
+    amount: invoice.amount_paid,
+    currency: invoice.currency,
+    period_start: toIsoDate(period.start),
+    period_end: toIsoDate(period.end),
+    invoice_url: invoice.hosted_invoice_url || null,
+    invoice_pdf: invoice.invoice_pdf || null,
+    status: 'paid',
+    paid_at: toIsoDate(invoice.status_transitions && invoice.status_transitions.paid_at) || new Date().toISOString(),
+    created_at: new Date().toISOString()
+  }, 'resolution=ignore-duplicates,return=representation');
+
+  if (subscriptionId) {
+    await clearGracePeriod(`id=eq.${encodeURIComponent(company.id)}`);
+  }
+
+  // Only the first time this invoice is recorded, and not for $0 trial invoices
+  if (recorded.length > 0 && invoice.amount_paid > 0) {
+    await sendTemplateEmail('paymentReceipt', company.email, {
+      companyName: company.company_name,
+      amount: formatAmount(invoice.amount_paid, invoice.currency),
+      periodLabel: `${formatDate(period.start)} - ${formatDate(period.end)}`,
+      invoiceUrl: invoice.hosted_invoice_url || `${process.env.URL}/company-dashboard.html#billing`
+    });
+  }
+}
+
+// Handle failed payments: past_due, grace period and the first dunning email
+async function handlePaymentFailed(invoice) {
+  console.log('Payment failed:', invoice.id);
+
+  const { filter, subscriptionId } = getInvoiceCompany(invoice);
+  // One-off payments fail inside Checkout and never reach an invoice
+  if (!subscriptionId) {
+    return;
+  }
+
+  const company = await startGracePeriod(filter);
+  if (!company) {
+    throw new Error(`No company found for invoice ${invoice.id}`);
+  }
+
+  await sendDunningEmail(company);
+}
+
+// Invoices for subscriptions started from create-checkout.js carry the
+// company id; older ones are matched by their Stripe customer
+function getInvoiceCompany(invoice) {
+  const details = invoice.subscription_details || (invoice.parent && invoice.parent.subscription_details) || {};
+  return {
+    filter: getCompanyFilter(details.metadata && details.metadata.companyId, invoice.customer),
+    subscriptionId: invoice.subscription || details.subscription || null
+  };
+}
+
+function getCompanyFilter(companyId, customerId) {
+  return companyId
+    ? `id=eq.${encodeURIComponent(companyId)}`
+    : `stripe_customer_id=eq.${encodeURIComponent(customerId)}`;
+}
+
+// Stripe timestamps are Unix seconds
+function toIsoDate(seconds) {
+  return seconds ? new Date(seconds * 1000).toISOString() : null;
+}
+
+function formatDate(seconds) {
+  return new Date(seconds * 1000).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+function formatAmount(cents, currency) {
+  return new Intl.NumberFormat('en-US', { style: 'currency', currency: (currency || 'usd').toUpperCase() }).format(cents / 100);
+}
+
+// Database update functions
+async function updateLeadExclusivePurchase(leadId, companyName, session) {
+  // Only the first completed payment can claim the lead
+  const updated = await supabaseRequest(
+    `Leads?id=eq.${encodeURIComponent(leadId)}&exclusive_purchased_by=is.null`,
+    'PATCH',
+    {
+      exclusive_purchased_by: companyName,
+      exclusive_purchased_company_id: session.metadata.companyId || null,
+      exclusive_purchase_date: new Date().toISOString(),
+      stripe_session_id: session.id,
+      ...clearedHold()
+    }
+  );
+
+  if (updated.length === 0) {
+    await refundLostExclusive(leadId, session);
+    return;
+  }
+
+  console.log(`Lead ${leadId} exclusively purchased by ${companyName}`);
+
+  // Shown to the homeowner on their status page. Not worth failing the event over.
+  try {
+    await recordLeadActivity(session.metadata.companyId, [leadId], 'contacted');
+  } catch (error) {
+    console.error(`Lead activity for lead ${leadId} not recorded:`, error);
+  }
+}
+
+// The lead went to another company first. A retry of this same session's event
+// finds its own purchase and leaves it alone.
+async function refundLostExclusive(leadId, session) {
+  const leads = await supabaseRequest(`Leads?id=eq.${encodeURIComponent(leadId)}&select=stripe_session_id`);
+  if (leads.length > 0 && leads[0].stripe_session_id === session.id) {
+    console.log(`Lead ${leadId} already recorded for session ${session.id}`);
+    return;
+  }
+
+  if (!session.payment_intent) {
+    throw new Error(`Lead ${leadId} was already purchased and session ${session.id} has no payment to refund`);
+  }
+
+  // Throws on failure, leaving the event 'failed' for retry or replay
+  const refund = await stripe.refunds.create(
+    { payment_intent: session.payment_intent, reason: 'duplicate', metadata: { leadId, sessionId: session.id } },
+    { idempotencyKey: `exclusive-refund-${session.id}` }
+  );
+  console.log(`💸 Lead ${leadId} was already purchased - refunded session ${session.id} (${refund.id})`);
+}
+
+// Subscription checkouts always come from an existing company (see create-checkout.js)
+async function updateCompanySubscription(companyId, session) {
+  if (!companyId) {
+    throw new Error(`Checkout session ${session.id} has no companyId`);
+  }
+
+  const updated = await supabaseRequest(`Companies?id=eq.${encodeURIComponent(companyId)}`, 'PATCH', {
+    subscription_status: 'active',
+    stripe_customer_id: session.customer,
+    stripe_subscription_id: session.subscription || null,
+    updated_at: new Date().toISOString()
+  });
+  if (updated.length === 0) {
+    throw new Error(`Company ${companyId} not found for checkout session ${session.id}`);
+  }
+
+  console.log(`Company subscription updated for company ${companyId}`);
+}
+
+// Subscriptions started from create-checkout.js carry the company id; older
+// ones are matched by their Stripe customer
+async function updateCompanySubscriptionStatus(subscription, status) {
+  const filter = getCompanyFilter(subscription.metadata && subscription.metadata.companyId, subscription.customer);
+
+  const updated = await supabaseRequest(`Companies?${filter}`, 'PATCH', {
+    subscription_status: status,
+    stripe_subscription_id: subscription.id,
+    updated_at: new Date().toISOString()
+  });
+
+  // Throwing leaves the event unprocessed so it's retried
+  if (updated.length === 0) {
+    throw new Error(`No company found for subscription ${subscription.id}`);
+  }
+
+  // Stripe may report past_due before the failed invoice event arrives
+  if (status === 'past_due') {
+    await startGracePeriod(filter);
+  }
+
+  console.log(`Company subscription status updated: ${status}`);
+}
+
+async function supabaseRequest(path, method = 'GET', body = null, prefer = 'return=representation') {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': prefer
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+module.exports = {
+  processStripeEvent,
+  findEvent,
+  listFailedEvents
+};
@@ -0,0 +1,31 @@
+// netlify/functions/lib/tokens.js
+// Emailed one-time tokens (email verification, team invites). Invite tokens
+// are stored as hashToken(token), never in plaintext.
+const crypto = require('crypto');
+
+const TOKEN_CHARACTERS = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+const TOKEN_LENGTH = 32;
+
+// 32 alphanumeric characters from a cryptographic source
+function generateVerificationToken() {
+  let result = '';
+  for (let i = 0; i < TOKEN_LENGTH; i++) {
+    result += TOKEN_CHARACTERS.charAt(crypto.randomInt(TOKEN_CHARACTERS.length));
+  }
+  return result;
+}
+
+// Same shape check verify-email applies before looking a token up
+function isValidTokenFormat(token) {
+  return typeof token === 'string' && /^[a-zA-Z0-9]{16,}$/.test(token);
+}
+
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+module.exports = {
+  generateVerificationToken,
+  isValidTokenFormat,
+  hashToken
+};
@@ -0,0 +1,137 @@
+// netlify/functions/lib/totp.js
+// Time-based one-time passwords (RFC 6238, SHA-1, 6 digits, 30s steps) and recovery codes.
+const crypto = require('crypto');
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const TOTP_DIGITS = 6;
+const TOTP_STEP_SECONDS = 30;
+const TOTP_WINDOW = 1; // accept one step either side for clock drift
+const TOTP_ISSUER = 'Estate Sale Connect';
+const RECOVERY_CODE_COUNT = 10;
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of cleaned) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) {
+      throw new Error('Invalid base32 character');
+    }
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+// 160-bit secret, base32 encoded for authenticator apps
+function generateSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+function buildOtpauthUri(secret, accountName) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret: secret,
+    issuer: TOTP_ISSUER,
+    algorithm: 'SHA1',
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_STEP_SECONDS)
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+function generateCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = ((hmac[offset] & 0x7f) << 24) |
+    (hmac[offset + 1] << 16) |
+    (hmac[offset + 2] << 8) |
+    hmac[offset + 3];
+
+  return String(binary % Math.pow(10, TOTP_DIGITS)).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_STEP_SECONDS);
+}
+
+// Returns the matched time step, or null. Steps at or before lastUsedStep are
+// rejected so a code can't be replayed.
+function verifyCode(secret, code, lastUsedStep = null) {
+  const cleaned = String(code || '').replace(/\s/g, '');
+  if (!secret || !/^\d{6}$/.test(cleaned)) {
+    return null;
+  }
+
+  const step = currentStep();
+  for (let offset = -TOTP_WINDOW; offset <= TOTP_WINDOW; offset++) {
+    const candidate = step + offset;
+    if (lastUsedStep !== null && candidate <= lastUsedStep) {
+      continue;
+    }
+    const expected = generateCode(secret, candidate);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(cleaned))) {
+      return candidate;
+    }
+  }
+
+  return null;
+}
+
+function normalizeRecoveryCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(normalizeRecoveryCode(code)).digest('hex');
+}
+
+// Codes look like "k3f9-x2m7-p8q4"; only their hashes are stored
+function generateRecoveryCodes(count = RECOVERY_CODE_COUNT) {
+  const codes = [];
+  for (let i = 0; i < count; i++) {
+    const raw = crypto.randomBytes(8).toString('hex').substring(0, 12);
+    codes.push(raw.match(/.{4}/g).join('-'));
+  }
+  return codes;
+}
+
+module.exports = {
+  generateSecret,
+  buildOtpauthUri,
+  verifyCode,
+  hashRecoveryCode,
+  generateRecoveryCodes
+};
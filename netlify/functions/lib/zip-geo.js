@@ -0,0 +1,98 @@
+// netlify/functions/lib/zip-geo.js
+// Offline ZIP code centroids and distance math.
+//
+// data/zip-centroids.json maps each 5-digit ZIP to [latitude, longitude, city, state]
+// (see data/zip-centroids.LICENSE). It ships with the functions, so lookups
+// never call out to a geocoding service.
+const EARTH_RADIUS_MILES = 3958.8;
+const MILES_PER_DEGREE_LATITUDE = 69.05;
+
+let zipCentroids = null;
+
+// Loaded on first use so functions that never geocode don't pay for the ~2MB parse
+function getCentroids() {
+  if (!zipCentroids) {
+    zipCentroids = require('../data/zip-centroids.json');
+  }
+  return zipCentroids;
+}
+
+function getZipCentroid(zipCode) {
+  const entry = getCentroids()[String(zipCode || '').substring(0, 5)];
+  if (!entry) {
+    return null;
+  }
+
+  return {
+    zipCode: String(zipCode).substring(0, 5),
+    latitude: entry[0],
+    longitude: entry[1],
+    city: entry[2],
+    state: entry[3]
+  };
+}
+
+function toRadians(degrees) {
+  return degrees * Math.PI / 180;
+}
+
+// Great-circle distance between two { latitude, longitude } points
+function haversineMiles(from, to) {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLng = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function roundMiles(miles) {
+  return Math.round(miles * 10) / 10;
+}
+
+// Rounded distance between two { latitude, longitude } points
+function distanceBetweenPoints(from, to) {
+  return roundMiles(haversineMiles(from, to));
+}
+
+// Distance between two ZIP centroids, or null if either ZIP is unknown
+function distanceBetweenZips(fromZip, toZip) {
+  const from = getZipCentroid(fromZip);
+  const to = getZipCentroid(toZip);
+  if (!from || !to) {
+    return null;
+  }
+  return roundMiles(haversineMiles(from, to));
+}
+
+// Every ZIP whose centroid is within radiusMiles of the given ZIP, as a
+// Map of zip -> distance in miles. Returns null if the ZIP isn't in the dataset.
+function findZipsWithinRadius(zipCode, radiusMiles) {
+  const origin = getZipCentroid(zipCode);
+  if (!origin) {
+    return null;
+  }
+
+  // Cheap latitude band check before the haversine
+  const maxLatDelta = radiusMiles / MILES_PER_DEGREE_LATITUDE;
+  const nearby = new Map();
+
+  for (const [zip, entry] of Object.entries(getCentroids())) {
+    if (Math.abs(entry[0] - origin.latitude) > maxLatDelta) {
+      continue;
+    }
+    const miles = haversineMiles(origin, { latitude: entry[0], longitude: entry[1] });
+    if (miles <= radiusMiles) {
+      nearby.set(zip, roundMiles(miles));
+    }
+  }
+
+  return nearby;
+}
+
+module.exports = {
+  getZipCentroid,
+  haversineMiles,
+  distanceBetweenPoints,
+  distanceBetweenZips,
+  findZipsWithinRadius
+};
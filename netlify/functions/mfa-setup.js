@@ -0,0 +1,250 @@
+// netlify/functions/mfa-setup.js
+// Two-factor authentication settings for the signed-in user (company owner or team member).
+//
+// GET                               -> { enabled, recoveryCodesRemaining }
+// POST { action: 'enroll' }         -> new pending secret, otpauth URI and QR code (SVG)
+// POST { action: 'confirm', code }  -> enables 2FA, returns recovery codes (shown once)
+// POST { action: 'disable', code }  -> turns 2FA off (code or recoveryCode required)
+const QRCode = require('qrcode');
+const { withAuth } = require('./lib/auth');
+const { generateSecret, buildOtpauthUri, verifyCode, hashRecoveryCode, generateRecoveryCodes } = require('./lib/totp');
+const { getClientIP } = require('./lib/sessions');
+const { checkLoginThrottle, recordFailedLogin, clearFailedLogins } = require('./lib/login-throttle');
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
+  console.log('🔐 MFA setup function called:', event.httpMethod);
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  if (user.isDemo) {
+    return respond(400, { error: 'Two-factor authentication is not available for demo accounts' });
+  }
+
+  try {
+    const account = await findAccount(user);
+    if (!account) {
+      return respond(404, { error: 'Account not found' });
+    }
+
+    if (event.httpMethod === 'GET') {
+      return respond(200, {
+        enabled: account.totp_enabled === true,
+        recoveryCodesRemaining: (account.recovery_code_hashes || []).length
+      });
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return respond(400, { error: 'Invalid JSON in request body' });
+    }
+
+    switch (requestData.action) {
+      case 'enroll':
+        return await enroll(account, user);
+      case 'confirm':
+        return await confirm(account, user, requestData.code);
+      case 'disable':
+        return await disable(account, user, requestData, getClientIP(event));
+      default:
+        return respond(400, { error: 'Unknown action' });
+    }
+
+  } catch (error) {
+    console.error('💥 MFA setup error:', error);
+    return respond(500, {
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}, { corsHeaders });
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
+
+// Start enrollment. The secret stays pending until a code from it is confirmed.
+async function enroll(account, user) {
+  if (account.totp_enabled) {
+    return respond(409, { error: 'Two-factor authentication is already enabled' });
+  }
+
+  const secret = generateSecret();
+  const otpauthUri = buildOtpauthUri(secret, account.email);
+  const qrCodeSvg = await QRCode.toString(otpauthUri, { type: 'svg', margin: 1 });
+
+  await updateAccount(user, { totp_pending_secret: secret });
+  console.log('📱 2FA enrollment started for:', user.companyName);
+
+  return respond(200, {
+    success: true,
+    secret: secret,
+    otpauthUri: otpauthUri,
+    qrCodeSvg: qrCodeSvg
+  });
+}
+
+async function confirm(account, user, code) {
+  if (account.totp_enabled) {
+    return respond(409, { error: 'Two-factor authentication is already enabled' });
+  }
+
+  if (!account.totp_pending_secret) {
+    return respond(400, { error: 'Start enrollment before confirming a code' });
+  }
+
+  const step = verifyCode(account.totp_pending_secret, code);
+  if (step === null) {
+    return respond(400, { error: 'Invalid verification code' });
+  }
+
+  const recoveryCodes = generateRecoveryCodes();
+
+  await updateAccount(user, {
+    totp_secret: account.totp_pending_secret,
+    totp_pending_secret: null,
+    totp_enabled: true,
+    totp_last_used_step: step,
+    recovery_code_hashes: recoveryCodes.map(hashRecoveryCode)
+  });
+  console.log('✅ 2FA enabled for:', user.companyName);
+
+  return respond(200, {
+    success: true,
+    enabled: true,
+    recoveryCodes: recoveryCodes,
+    message: 'Two-factor authentication enabled. Save your recovery codes somewhere safe.'
+  });
+}
+
+// Disabling needs a current code so a hijacked session can't quietly remove 2FA.
+// Wrong codes count towards the same lockout as sign in, so they can't be guessed.
+async function disable(account, user, { code, recoveryCode }, clientIP) {
+  if (!account.totp_enabled) {
+    return respond(400, { error: 'Two-factor authentication is not enabled' });
+  }
+
+  // Keyed like sign in, so failures here and there share one counter
+  const throttleEmail = String(account.email || '').toLowerCase();
+  const throttleResult = await checkLoginThrottle(throttleEmail, clientIP);
+  if (!throttleResult.allowed) {
+    console.log('❌ 2FA disable throttled:', throttleResult.reason);
+    return respond(429, {
+      error: 'Too many attempts. Please wait before trying again.',
+      retryAfter: throttleResult.retryAfter,
+      lockedUntil: throttleResult.lockedUntil
+    });
+  }
+
+  const disabled = {
+    totp_enabled: false,
+    totp_secret: null,
+    totp_pending_secret: null,
+    totp_last_used_step: null,
+    recovery_code_hashes: []
+  };
+
+  // Same conditional updates as sign in: a recovery code or TOTP step can only be used once
+  let verified = false;
+  if (recoveryCode) {
+    const hashes = account.recovery_code_hashes || [];
+    if (hashes.includes(hashRecoveryCode(recoveryCode))) {
+      verified = await updateAccount(user, disabled, `&recovery_code_hashes=eq.${encodeURIComponent(`{${hashes.join(',')}}`)}`);
+    }
+  } else {
+    const step = verifyCode(account.totp_secret, code, account.totp_last_used_step ?? null);
+    if (step !== null) {
+      verified = await updateAccount(user, disabled, `&or=(totp_last_used_step.is.null,totp_last_used_step.lt.${step})`);
+    }
+  }
+
+  if (!verified) {
+    console.log('❌ Invalid code to disable 2FA for:', user.companyName);
+    const failure = await recordFailedLogin(throttleEmail, clientIP);
+    if (failure.lockedUntil) {
+      return respond(429, {
+        error: 'Too many failed attempts. This account is temporarily locked.',
+        retryAfter: failure.retryAfter,
+        lockedUntil: failure.lockedUntil
+      });
+    }
+    return respond(400, {
+      error: 'Invalid verification code',
+      attemptsRemaining: failure.attemptsRemaining
+    });
+  }
+
+  await clearFailedLogins(throttleEmail, clientIP);
+  console.log('🔓 2FA disabled for:', user.companyName);
+
+  return respond(200, {
+    success: true,
+    enabled: false,
+    message: 'Two-factor authentication disabled'
+  });
+}
+
+// The owner's settings live on the Companies row, team members' on their CompanyUsers row
+function accountUrl(user) {
+  return user.memberId
+    ? `${process.env.SUPABASE_URL}/rest/v1/CompanyUsers?id=eq.${encodeURIComponent(user.memberId)}&company_id=eq.${encodeURIComponent(user.userId)}`
+    : `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(user.userId)}`;
+}
+
+async function findAccount(user) {
+  const response = await fetch(
+    `${accountUrl(user)}&select=id,email,totp_enabled,totp_secret,totp_pending_secret,totp_last_used_step,recovery_code_hashes`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const accounts = await response.json();
+  return accounts.length > 0 ? accounts[0] : null;
+}
+
+// match adds PostgREST filters that make the update conditional.
+// Returns whether a row was updated.
+async function updateAccount(user, updates, match = '') {
+  const response = await fetch(`${accountUrl(user)}${match}`, {
+    method: 'PATCH',
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: JSON.stringify({
+      ...updates,
+      updated_at: new Date().toISOString()
+    })
+  });
+
+  if (!response.ok) {
+    throw new Error(`Failed to update account: ${response.status}`);
+  }
+
+  const updated = await response.json();
+  return updated.length > 0;
+}
@@ -0,0 +1,119 @@
+// netlify/functions/notification-preferences.js
+// How a company hears about new leads in its service area.
+//
+// Stored on the Companies row as notification_preferences (jsonb):
+//   { channels: ['email', 'sms'], smsPhone, frequency: 'instant' | 'daily' | 'weekly',
+//     quietHours: { enabled, start: 'HH:MM', end: 'HH:MM', timezone } }
+//
+// GET                          -> current preferences (defaults if never set)
+// POST { ...preferences }      -> validate and save
+const { withAuth } = require('./lib/auth');
+const { normalizePreferences } = require('./lib/notifier');
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
+  console.log('🔔 Notification preferences function called:', event.httpMethod);
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  if (user.isDemo) {
+    return respond(400, { error: 'Notifications are not available for demo accounts' });
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const company = await findCompanyById(user.userId);
+      if (!company) {
+        return respond(404, { error: 'Company not found' });
+      }
+      const { preferences } = normalizePreferences(company.notification_preferences);
+      return respond(200, { success: true, preferences });
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return respond(400, { error: 'Invalid JSON in request body' });
+    }
+
+    const { preferences, errors } = normalizePreferences(requestData);
+    if (preferences.channels.includes('sms') && !preferences.smsPhone) {
+      errors.push('Add a mobile number to get text alerts');
+    }
+    if (errors.length > 0) {
+      return respond(400, { error: 'Validation failed', details: errors });
+    }
+
+    await updateCompany(user.userId, {
+      notification_preferences: preferences,
+      updated_at: new Date().toISOString()
+    });
+
+    console.log('✅ Notification preferences updated for', user.companyName);
+    return respond(200, { success: true, preferences, message: 'Notification preferences saved' });
+
+  } catch (error) {
+    console.error('💥 Notification preferences error:', error);
+    return respond(500, {
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}, { corsHeaders, permission: 'notifications:manage' });
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
+
+async function findCompanyById(companyId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(companyId)}&select=id,notification_preferences`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const companies = await response.json();
+  return companies.length > 0 ? companies[0] : null;
+}
+
+async function updateCompany(companyId, updates) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(companyId)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify(updates)
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+  }
+}
@@ -0,0 +1,311 @@
+// netlify/functions/request-password-reset.js
+// Emails a one-hour reset link to a company owner (Companies row) or an active
+// team member (CompanyUsers row). Both tables carry password_reset_token_hash
+// and password_reset_expires_at.
+const crypto = require('crypto');
+const { sendTemplateEmail } = require('./lib/mailer');
+
+// Reset links are valid for one hour
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+
+exports.handler = async (event, context) => {
+  console.log('🔑 Request password reset function called');
+  console.log('Method:', event.httpMethod);
+
+  // CORS headers for all responses
+  const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    console.log('✅ Handling OPTIONS preflight request');
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    console.log('❌ Method not allowed:', event.httpMethod);
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  // Same response whether or not the account exists
+  const genericResponse = {
+    statusCode: 200,
+    headers: corsHeaders,
+    body: JSON.stringify({
+      success: true,
+      message: 'If an account with this email exists, a password reset link has been sent.'
+    })
+  };
+
+  try {
+    console.log('📝 Parsing request body...');
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body);
+    } catch (parseError) {
+      console.log('❌ JSON parse error:', parseError.message);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid JSON in request body'
+        })
+      };
+    }
+
+    const { email } = requestData;
+
+    // Validate email
+    if (!email || typeof email !== 'string') {
+      console.log('❌ Missing email');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Email address is required'
+        })
+      };
+    }
+
+    // Sanitize and validate email format
+    const cleanEmail = email.trim().toLowerCase();
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(cleanEmail) || cleanEmail.length > 254) {
+      console.log('❌ Invalid email format:', cleanEmail);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid email address format'
+        })
+      };
+    }
+
+    // Rate limiting check - prevent spam
+    const rateLimitResult = await checkRateLimit(cleanEmail);
+    if (!rateLimitResult.allowed) {
+      console.log('❌ Rate limit exceeded');
+      return {
+        statusCode: 429,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Too many password reset requests. Please wait before requesting another.',
+          retryAfter: rateLimitResult.retryAfter
+        })
+      };
+    }
+
+    await recordRateLimitAttempt(cleanEmail);
+
+    console.log('🔍 Looking up account with email...');
+    const account = await findAccountByEmail(cleanEmail);
+    if (!account) {
+      console.log('❌ No account found with email');
+      // For security, don't reveal if email exists or not
+      return genericResponse;
+    }
+
+    console.log(`✅ ${account.table === 'CompanyUsers' ? 'Team member' : 'Company'} found:`, account.company_name);
+
+    // Generate a single-use token - only its hash is stored
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetTokenHash = hashResetToken(resetToken);
+    const expiresAt = new Date(Date.now() + RESET_TOKEN_TTL_MS).toISOString();
+
+    console.log('💾 Saving reset token...');
+    const updateResult = await saveResetToken(account, resetTokenHash, expiresAt);
+    // Same as an unknown email, so a 500 can't reveal that the account exists
+    if (!updateResult.success) {
+      console.error('❌ Failed to save reset token:', updateResult.error);
+      return genericResponse;
+    }
+
+    // Send password reset email
+    console.log('📧 Sending password reset email...');
+    const emailResult = await sendPasswordResetEmail(
+      cleanEmail,
+      account.first_name,
+      account.company_name,
+      resetToken
+    );
+
+    // A different response here would reveal that the account exists
+    if (!emailResult.success) {
+      console.error('❌ Password reset email failed:', emailResult.error);
+    } else {
+      console.log('✅ Password reset email sent successfully');
+    }
+
+    return genericResponse;
+
+  } catch (error) {
+    console.error('💥 Request password reset error:', error);
+    console.error('Error stack:', error.stack);
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Internal server error. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+// Reset tokens are stored as SHA-256 hashes so a database leak can't be used to take over accounts
+function hashResetToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Find the owner or active team member with this email, same order as sign in.
+// Returns { table, id, first_name, company_name } or null.
+async function findAccountByEmail(email) {
+  try {
+    const companies = await queryRows(`Companies?email=eq.${encodeURIComponent(email)}&select=id,first_name,company_name`);
+    if (companies.length > 0) {
+      return { table: 'Companies', ...companies[0] };
+    }
+
+    // Invited members haven't set a password yet and removed ones can't sign in
+    const members = await queryRows(
+      `CompanyUsers?email=eq.${encodeURIComponent(email)}&status=eq.active&select=id,company_id,first_name`
+    );
+    if (members.length === 0) {
+      return null;
+    }
+
+    const memberCompanies = await queryRows(`Companies?id=eq.${encodeURIComponent(members[0].company_id)}&select=company_name`);
+    if (memberCompanies.length === 0) {
+      return null;
+    }
+
+    return {
+      table: 'CompanyUsers',
+      id: members[0].id,
+      first_name: members[0].first_name,
+      company_name: memberCompanies[0].company_name
+    };
+
+  } catch (error) {
+    console.error('Error finding account by email:', error);
+    throw error;
+  }
+}
+
+async function queryRows(path) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Store the hashed reset token on the owner's or member's row
+async function saveResetToken(account, tokenHash, expiresAt) {
+  try {
+    const updateData = {
+      password_reset_token_hash: tokenHash,
+      password_reset_expires_at: expiresAt,
+      updated_at: new Date().toISOString()
+    };
+
+    const response = await fetch(
+      `${process.env.SUPABASE_URL}/rest/v1/${account.table}?id=eq.${encodeURIComponent(account.id)}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'apikey': process.env.SUPABASE_ANON_KEY,
+          'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          'Content-Type': 'application/json',
+          'Prefer': 'return=minimal'
+        },
+        body: JSON.stringify(updateData)
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+    }
+
+    return {
+      success: true
+    };
+
+  } catch (error) {
+    console.error('Error saving reset token:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
+
+// Send password reset email
+async function sendPasswordResetEmail(email, firstName, companyName, resetToken) {
+  return sendTemplateEmail('passwordReset', email, {
+    firstName,
+    companyName,
+    resetUrl: `${process.env.URL}/company-reset-password.html?token=${resetToken}`
+  });
+}
+
+// Simple rate limiting (in production, use Redis or proper rate limiting service)
+const rateLimitStore = new Map();
+
+async function checkRateLimit(email) {
+  const now = Date.now();
+  const windowMs = 15 * 60 * 1000; // 15 minutes
+  const maxAttempts = 3; // Max 3 reset emails per 15 minutes
+
+  const key = `reset_${email}`;
+  const attempts = rateLimitStore.get(key) || [];
+
+  // Remove old attempts outside the window
+  const recentAttempts = attempts.filter(timestamp => now - timestamp < windowMs);
+
+  if (recentAttempts.length >= maxAttempts) {
+    const oldestAttempt = Math.min(...recentAttempts);
+    const retryAfter = Math.ceil((windowMs - (now - oldestAttempt)) / 1000);
+
+    return {
+      allowed: false,
+      retryAfter: retryAfter
+    };
+  }
+
+  return {
+    allowed: true
+  };
+}
+
+async function recordRateLimitAttempt(email) {
+  const now = Date.now();
+  const key = `reset_${email}`;
+  const attempts = rateLimitStore.get(key) || [];
+
+  attempts.push(now);
+  rateLimitStore.set(key, attempts.filter(timestamp => now - timestamp < 15 * 60 * 1000));
+}
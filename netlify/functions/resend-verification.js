@@ -1,4 +1,7 @@
 // netlify/functions/resend-verification.js
+const { generateVerificationToken } = require('./lib/tokens');
+const { sendTemplateEmail } = require('./lib/mailer');
+
 exports.handler = async (event, context) => {
   console.log('🔄 Resend verification function called');
   console.log('Method:', event.httpMethod);
@@ -169,7 +172,8 @@ exports.handler = async (event, context) => {
     const response = {
       success: true,
       message: 'Verification email sent successfully! Please check your inbox and spam folder.',
-      verificationUrl: emailResult.verificationUrl
+      // Only useful when emails go to the console or a file locally
+      verificationUrl: process.env.NODE_ENV === 'development' ? emailResult.verificationUrl : undefined
     };
 
     return {
@@ -271,68 +275,20 @@ async function updateVerificationToken(companyId, newToken) {
   }
 }
 
-// Generate verification token
-function generateVerificationToken() {
-  const characters = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-  let result = '';
-  for (let i = 0; i < 32; i++) {
-    result += characters.charAt(Math.floor(Math.random() * characters.length));
-  }
-  return result;
-}
-
 // Send verification email
 async function sendVerificationEmail(email, firstName, companyName, verificationToken) {
-  try {
-    console.log('📧 Sending verification email to:', email);
-
-    const verificationUrl = `${process.env.URL}/company-verify-email.html?token=${verificationToken}`;
-    
-    // TODO: Implement actual email sending with your email service
-    // For now, just log what would be sent
-    
-    const emailContent = {
-      to: email,
-      subject: 'Verify Your Estate Sale Connect Account',
-      body: `
-        Hi ${firstName},
-
-        Thank you for registering ${companyName} with Estate Sale Connect!
-
-        Please verify your email address by clicking the link below:
-        ${verificationUrl}
-
-        This verification link will expire in 24 hours.
-
-        If you didn't create this account, please ignore this email.
-
-        Best regards,
-        The Estate Sale Connect Team
-
-        ---
-        If the link doesn't work, copy and paste this URL into your browser:
-        ${verificationUrl}
-      `
-    };
-
-    console.log('Verification email prepared for:', email);
-    console.log('Verification URL:', verificationUrl);
+  const verificationUrl = `${process.env.URL}/company-verify-email.html?token=${verificationToken}`;
 
-    // In production, replace this with actual email service call
-    // Examples: SendGrid, Mailgun, AWS SES, etc.
+  const result = await sendTemplateEmail('verification', email, {
+    firstName,
+    companyName,
+    verificationUrl
+  });
 
-    return {
-      success: true,
-      verificationUrl: verificationUrl
-    };
-
-  } catch (error) {
-    console.error('Email sending error:', error);
-    return {
-      success: false,
-      error: error.message
-    };
-  }
+  return {
+    ...result,
+    verificationUrl: verificationUrl
+  };
 }
 
 // Simple rate limiting (in production, use Redis or proper rate limiting service)
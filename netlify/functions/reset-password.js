@@ -0,0 +1,240 @@
+// netlify/functions/reset-password.js
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const { revokeAllSessions } = require('./lib/sessions');
+const { validatePassword } = require('./lib/passwords');
+
+exports.handler = async (event, context) => {
+  console.log('🔑 Reset password function called');
+  console.log('Method:', event.httpMethod);
+
+  // CORS headers for all responses
+  const corsHeaders = {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight OPTIONS request
+  if (event.httpMethod === 'OPTIONS') {
+    console.log('✅ Handling OPTIONS preflight request');
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: ''
+    };
+  }
+
+  // Only allow POST requests
+  if (event.httpMethod !== 'POST') {
+    console.log('❌ Method not allowed:', event.httpMethod);
+    return {
+      statusCode: 405,
+      headers: corsHeaders,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  try {
+    console.log('📝 Parsing request body...');
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body);
+    } catch (parseError) {
+      console.log('❌ JSON parse error:', parseError.message);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid JSON in request body'
+        })
+      };
+    }
+
+    const { token, password, confirmPassword } = requestData;
+
+    // Validate token format
+    if (!token || typeof token !== 'string' || !/^[a-f0-9]{64}$/.test(token)) {
+      console.log('❌ Missing or malformed reset token');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid or expired password reset link'
+        })
+      };
+    }
+
+    // Same password policy as company signup
+    const passwordErrors = validatePassword(password, confirmPassword);
+    if (passwordErrors.length > 0) {
+      console.log('❌ Password validation failed:', passwordErrors);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Validation failed',
+          details: passwordErrors
+        })
+      };
+    }
+
+    console.log('🔍 Looking up reset token...');
+    const tokenHash = crypto.createHash('sha256').update(token).digest('hex');
+    const account = await findAccountByResetToken(tokenHash);
+
+    if (!account || !account.password_reset_expires_at ||
+        new Date(account.password_reset_expires_at).getTime() < Date.now()) {
+      console.log('❌ Reset token not found or expired');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid or expired password reset link'
+        })
+      };
+    }
+
+    console.log(`✅ Valid reset token for ${account.table === 'CompanyUsers' ? 'team member' : 'company'}:`, account.id);
+
+    // Hash password
+    console.log('🔐 Hashing new password...');
+    const saltRounds = 12;
+    const hashedPassword = await bcrypt.hash(password, saltRounds);
+
+    // Update password and clear the token
+    console.log('💾 Updating password...');
+    const updateResult = await updateAccountPassword(account, tokenHash, hashedPassword);
+    if (!updateResult.success) {
+      throw new Error('Failed to update password: ' + updateResult.error);
+    }
+
+    if (!updateResult.updated) {
+      // Another request used the token first
+      console.log('❌ Reset token already used');
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({
+          error: 'Invalid or expired password reset link'
+        })
+      };
+    }
+
+    // Sign out every device using the old password - a member's reset leaves
+    // the owner and other members signed in
+    if (account.table === 'CompanyUsers') {
+      await revokeAllSessions(account.company_id, account.id);
+    } else {
+      await revokeAllSessions(account.id);
+    }
+
+    console.log('✅ Password reset completed');
+
+    return {
+      statusCode: 200,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        success: true,
+        message: 'Your password has been reset. Please sign in with your new password.'
+      })
+    };
+
+  } catch (error) {
+    console.error('💥 Reset password error:', error);
+    console.error('Error stack:', error.stack);
+
+    return {
+      statusCode: 500,
+      headers: corsHeaders,
+      body: JSON.stringify({
+        error: 'Internal server error. Please try again later.',
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+      })
+    };
+  }
+};
+
+// Find the owner (Companies) or team member (CompanyUsers) holding a hashed reset token.
+// Returns the row plus its table, or null.
+async function findAccountByResetToken(tokenHash) {
+  try {
+    const companies = await queryRows(
+      `Companies?password_reset_token_hash=eq.${tokenHash}&select=id,password_reset_expires_at`
+    );
+    if (companies.length > 0) {
+      return { table: 'Companies', ...companies[0] };
+    }
+
+    const members = await queryRows(
+      `CompanyUsers?password_reset_token_hash=eq.${tokenHash}&status=eq.active&select=id,company_id,password_reset_expires_at`
+    );
+    return members.length > 0 ? { table: 'CompanyUsers', ...members[0] } : null;
+
+  } catch (error) {
+    console.error('Error finding account by reset token:', error);
+    throw error;
+  }
+}
+
+async function queryRows(path) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+    }
+  });
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  return response.json();
+}
+
+// Update password and consume the reset token in one conditional update
+async function updateAccountPassword(account, tokenHash, passwordHash) {
+  try {
+    const updateData = {
+      password_hash: passwordHash,
+      password_reset_token_hash: null,
+      password_reset_expires_at: null,
+      updated_at: new Date().toISOString()
+    };
+
+    const response = await fetch(
+      `${process.env.SUPABASE_URL}/rest/v1/${account.table}?id=eq.${encodeURIComponent(account.id)}&password_reset_token_hash=eq.${tokenHash}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'apikey': process.env.SUPABASE_ANON_KEY,
+          'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+          'Content-Type': 'application/json',
+          'Prefer': 'return=representation'
+        },
+        body: JSON.stringify(updateData)
+      }
+    );
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+    }
+
+    const updatedRows = await response.json();
+
+    return {
+      success: true,
+      updated: updatedRows.length > 0
+    };
+
+  } catch (error) {
+    console.error('Error updating password:', error);
+    return {
+      success: false,
+      error: error.message
+    };
+  }
+}
@@ -1,7 +1,24 @@
 // netlify/functions/secure-leads-api.js
-const jwt = require('jsonwebtoken');
+const { withAuth } = require('./lib/auth');
+const { LEAD_COLUMNS, mapLeadRow, sanitizeLead } = require('./lib/leads');
+const { getZipCentroid, findZipsWithinRadius, distanceBetweenPoints } = require('./lib/zip-geo');
+const { parseServiceAreas, expandServiceAreaZips } = require('./lib/service-areas');
+const { findBillingCompany, getSubscriptionAccess, getEffectiveSubscriptionStatus } = require('./lib/billing');
+const { VALID_TIMELINES, VALID_PROPERTY_TYPES } = require('./lib/lead-intake');
+const { recordLeadActivity } = require('./lib/lead-activity');
+const { scoreLead } = require('./lib/lead-scoring');
 
-// Demo leads data (in production, this would come from Supabase)
+const MAX_PAGE_SIZE = 100;
+const MAX_RADIUS_MILES = 100;
+const MAX_ZIP_LIST_RESULTS = 10000; // leads considered for radius and service area queries
+const ZIP_LIST_PAGE_SIZE = 1000; // Supabase's default max rows per request
+const ZIP_FILTER_CHUNK_SIZE = 250; // keeps zip_code=in.(...) URLs a safe length
+// All radius and service area sorting needs; full rows are only loaded for the page shown
+const SORT_COLUMNS = 'id,zip_code,latitude,longitude,quality_score,created_at';
+const VALID_SCOPES = ['service_area', 'all'];
+const VALID_SORTS = ['newest', 'score', 'distance']; // distance needs a radius search
+
+// Leads shown to DEMO_MODE accounts; everyone else gets the Supabase Leads table
 const DEMO_LEADS = [
   {
     id: 1,
@@ -10,6 +27,9 @@ const DEMO_LEADS = [
     email: 'john.smith@email.com',
     phone: '(555) 123-4567',
     address: '123 Main Street, Charlotte, NC 28202',
+    street: '123 Main Street',
+    city: 'Charlotte',
+    state: 'NC',
     zipCode: '28202',
     propertyType: 'house',
     timeline: 'asap',
@@ -32,6 +52,9 @@ const DEMO_LEADS = [
     email: 'mary.johnson@email.com',
     phone: '(555) 987-6543',
     address: '456 Oak Avenue, Huntersville, NC 28078',
+    street: '456 Oak Avenue',
+    city: 'Huntersville',
+    state: 'NC',
     zipCode: '28078',
     propertyType: 'condo',
     timeline: 'month',
@@ -53,6 +76,9 @@ const DEMO_LEADS = [
     email: 'bob.williams@email.com',
     phone: '(555) 456-7890',
     address: '789 Pine Street, Matthews, NC 28105',
+    street: '789 Pine Street',
+    city: 'Matthews',
+    state: 'NC',
     zipCode: '28105',
     propertyType: 'house',
     timeline: 'flexible',
@@ -67,28 +93,20 @@ const DEMO_LEADS = [
   }
 ];
 
-exports.handler = async (event, context) => {
+// Demo accounts serve the Charlotte area
+const DEMO_SERVICE_AREAS = 'Charlotte, NC; Mecklenburg County, NC';
+
+// CORS headers
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+  'Content-Type': 'application/json'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
   console.log('🔐 Secure leads API called');
   console.log('Method:', event.httpMethod);
-  console.log('Headers:', JSON.stringify(event.headers, null, 2));
-
-  // CORS headers
-  const corsHeaders = {
-    'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
-    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
-    'Content-Type': 'application/json'
-  };
-
-  // Handle preflight requests
-  if (event.httpMethod === 'OPTIONS') {
-    console.log('✅ Handling OPTIONS preflight request');
-    return {
-      statusCode: 200,
-      headers: corsHeaders,
-      body: ''
-    };
-  }
 
   // Only allow GET requests
   if (event.httpMethod !== 'GET') {
@@ -101,63 +119,123 @@ exports.handler = async (event, context) => {
   }
 
   try {
-    // Authentication check
-    console.log('🔍 Checking authentication...');
-    const authResult = await authenticateRequest(event);
-    if (!authResult.success) {
-      console.log('❌ Authentication failed:', authResult.error);
-      return {
-        statusCode: 401,
-        headers: corsHeaders,
-        body: JSON.stringify({ error: authResult.error })
-      };
-    }
-
-    const user = authResult.user;
     console.log(`✅ Authenticated request from: ${user.companyName}`);
 
+    // Billing state is read fresh so a lapsed grace period takes effect
+    // without waiting for the access token to be refreshed
+    let viewer = user;
+    let subscriptionAccess = 'active';
+    let gracePeriodEndsAt = null;
+    if (!user.isDemo) {
+      const company = await findBillingCompany(user.userId);
+      if (!company) {
+        console.log('❌ Company not found:', user.userId);
+        return {
+          statusCode: 403,
+          headers: corsHeaders,
+          body: JSON.stringify({ error: 'Active subscription required' })
+        };
+      }
+      subscriptionAccess = getSubscriptionAccess(company);
+      gracePeriodEndsAt = company.grace_period_ends_at || null;
+      viewer = { ...user, subscriptionStatus: getEffectiveSubscriptionStatus(company) };
+    }
+
     // Parse query parameters
     const queryParams = event.queryStringParameters || {};
     const {
       limit = '20',
       offset = '0',
       zipCode,
+      radius,
       timeline,
-      propertyType
+      propertyType,
+      leadId,
+      scope = 'service_area',
+      sort,
+      minScore
     } = queryParams;
 
     console.log('Query params:', queryParams);
 
-    // Apply filters to demo data
-    let filteredLeads = [...DEMO_LEADS];
+    const filterError = validateFilters({ zipCode, radius, timeline, propertyType, leadId, scope, sort, minScore });
+    if (filterError) {
+      console.log('❌ Invalid filter:', filterError);
+      return {
+        statusCode: 400,
+        headers: corsHeaders,
+        body: JSON.stringify({ error: filterError })
+      };
+    }
 
-    // Timeline filter
-    if (timeline) {
-      filteredLeads = filteredLeads.filter(lead => lead.timeline === timeline);
-      console.log(`Filtered by timeline '${timeline}':`, filteredLeads.length, 'leads');
+    const limitNum = Math.min(Math.max(parseInt(limit) || 20, 1), MAX_PAGE_SIZE);
+    const offsetNum = Math.max(parseInt(offset) || 0, 0);
+    const filters = {
+      zipCode,
+      timeline,
+      propertyType,
+      leadId,
+      minScore: minScore ? parseInt(minScore) : null,
+      sort: sort || (radius ? 'distance' : 'newest'),
+      nearbyZips: null,
+      origin: null,
+      serviceAreaZips: null,
+      // Without a subscription a company only sees the exclusives it bought
+      purchasedByCompanyId: subscriptionAccess === 'inactive' ? user.userId : null
+    };
+    if (filters.purchasedByCompanyId) {
+      console.log('ℹ️ No active subscription, listing purchased exclusives only');
     }
 
-    // Property type filter
-    if (propertyType) {
-      filteredLeads = filteredLeads.filter(lead => lead.propertyType === propertyType);
-      console.log(`Filtered by property type '${propertyType}':`, filteredLeads.length, 'leads');
+    // Radius search: every ZIP centroid within range, with its distance
+    if (zipCode && radius) {
+      filters.nearbyZips = findZipsWithinRadius(zipCode, parseFloat(radius));
+      filters.origin = getZipCentroid(zipCode);
+      if (filters.nearbyZips) {
+        console.log(`Searching ${filters.nearbyZips.size} ZIP codes within ${radius} miles of ${zipCode}`);
+      } else {
+        console.log(`⚠️ ZIP ${zipCode} not in centroid dataset, falling back to exact match`);
+        if (filters.sort === 'distance') {
+          filters.sort = 'newest';
+        }
+      }
     }
 
-    // Zip code filter (simple)
-    if (zipCode) {
-      filteredLeads = filteredLeads.filter(lead => lead.zipCode === zipCode);
-      console.log(`Filtered by zip code '${zipCode}':`, filteredLeads.length, 'leads');
+    // Without a ZIP search or a linked lead, default to the company's own service area
+    let appliedScope = zipCode || leadId ? 'search' : 'all';
+    if (filters.purchasedByCompanyId) {
+      appliedScope = 'purchased';
+    } else if (!zipCode && !leadId && scope === 'service_area') {
+      const serviceAreaZips = user.isDemo
+        ? expandServiceAreaZips(parseServiceAreas(DEMO_SERVICE_AREAS))
+        : await getServiceAreaZips(user.userId);
+
+      // Companies that haven't set a service area yet still see everything
+      if (serviceAreaZips.length > 0) {
+        filters.serviceAreaZips = new Set(serviceAreaZips);
+        appliedScope = 'service_area';
+        console.log(`Limiting to ${serviceAreaZips.length} service area ZIP codes`);
+      }
     }
 
-    // Apply pagination
-    const limitNum = parseInt(limit) || 20;
-    const offsetNum = parseInt(offset) || 0;
-    const paginatedLeads = filteredLeads.slice(offsetNum, offsetNum + limitNum);
+    const { leads: paginatedLeads, total, truncated = false } = user.isDemo
+      ? queryDemoLeads(filters, limitNum, offsetNum)
+      : await queryLeads(filters, limitNum, offsetNum);
 
-    console.log(`Returning ${paginatedLeads.length} leads (offset: ${offsetNum}, limit: ${limitNum})`);
+    console.log(`Returning ${paginatedLeads.length} of ${total} leads (offset: ${offsetNum}, limit: ${limitNum})`);
 
     // Sanitize leads based on subscription status
-    const sanitizedLeads = paginatedLeads.map(lead => sanitizeLead(lead, user));
+    const sanitizedLeads = paginatedLeads.map(lead => sanitizeLead(lead, viewer));
+
+    // Homeowners see how many companies have viewed their contact details
+    if (!user.isDemo) {
+      const viewedLeadIds = sanitizedLeads.filter(lead => lead.hasContactAccess).map(lead => lead.id);
+      try {
+        await recordLeadActivity(user.userId, viewedLeadIds, 'viewed');
+      } catch (activityError) {
+        console.error('Lead view tracking failed:', activityError);
+      }
+    }
 
     const response = {
       success: true,
@@ -166,8 +244,16 @@ exports.handler = async (event, context) => {
         count: sanitizedLeads.length,
         offset: offsetNum,
         limit: limitNum,
-        hasMore: (offsetNum + limitNum) < filteredLeads.length,
-        total: filteredLeads.length
+        hasMore: (offsetNum + limitNum) < total,
+        total: total,
+        // More leads matched than a radius or service area search considers
+        truncated,
+        scope: appliedScope,
+        sort: filters.sort,
+        // 'grace' and 'lapsed' mean a payment failed, 'inactive' lists purchased
+        // exclusives only; see lib/billing.js
+        subscriptionAccess,
+        gracePeriodEndsAt
       }
     };
 
@@ -188,98 +274,297 @@ exports.handler = async (event, context) => {
       headers: corsHeaders,
       body: JSON.stringify({ 
         error: 'Internal server error',
-        details: error.message
+        details: process.env.NODE_ENV === 'development' ? error.message : undefined
       })
     };
   }
-};
+}, { corsHeaders, permission: 'leads:view' });
 
-// Authenticate request using JWT
-async function authenticateRequest(event) {
-  try {
-    // Get token from Authorization header
-    const authHeader = event.headers.authorization || event.headers.Authorization;
-    
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-      return { success: false, error: 'No valid authorization token provided' };
+// Filter values match what lib/lead-intake.js accepts
+function validateFilters({ zipCode, radius, timeline, propertyType, leadId, scope, sort, minScore }) {
+  if (zipCode && !/^\d{5}$/.test(zipCode)) {
+    return 'zipCode must be a 5-digit ZIP code';
+  }
+  if (radius) {
+    const radiusNum = parseFloat(radius);
+    if (!zipCode) {
+      return 'radius requires a zipCode';
+    }
+    if (Number.isNaN(radiusNum) || radiusNum <= 0 || radiusNum > MAX_RADIUS_MILES) {
+      return `radius must be between 1 and ${MAX_RADIUS_MILES} miles`;
+    }
+  }
+  if (timeline && !VALID_TIMELINES.includes(timeline)) {
+    return 'Invalid timeline filter';
+  }
+  if (propertyType && !VALID_PROPERTY_TYPES.includes(propertyType)) {
+    return 'Invalid propertyType filter';
+  }
+  if (leadId && !/^[A-Za-z0-9-]{1,64}$/.test(leadId)) {
+    return 'Invalid leadId';
+  }
+  if (!VALID_SCOPES.includes(scope)) {
+    return 'scope must be service_area or all';
+  }
+  if (sort && !VALID_SORTS.includes(sort)) {
+    return 'sort must be newest, score or distance';
+  }
+  if (sort === 'distance' && !radius) {
+    return 'sort=distance requires a radius';
+  }
+  if (minScore && (!/^\d{1,3}$/.test(minScore) || parseInt(minScore) > 100)) {
+    return 'minScore must be a whole number from 0 to 100';
+  }
+  return null;
+}
+
+// The ZIP codes a company's service areas expand to (see service-areas.js)
+async function getServiceAreaZips(companyId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(companyId)}&select=service_area_zips`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`
+      }
     }
+  );
 
-    const token = authHeader.substring(7);
-    console.log('🎫 Verifying token:', token.substring(0, 20) + '...');
-    
-    // Verify JWT token
-    const jwtSecret = process.env.JWT_SECRET || 'demo-secret-key-12345';
-    const decoded = jwt.verify(token, jwtSecret);
-    
-    console.log('✅ Token decoded successfully:', decoded);
-    
-    // Check if token is expired
-    if (decoded.exp < Math.floor(Date.now() / 1000)) {
-      return { success: false, error: 'Token expired' };
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Company query failed: ${response.status} - ${errorText}`);
+  }
+
+  const companies = await response.json();
+  return companies.length > 0 && Array.isArray(companies[0].service_area_zips)
+    ? companies[0].service_area_zips
+    : [];
+}
+
+// Query the Leads table with filters and pagination pushed down to PostgREST
+async function queryLeads(filters, limit, offset) {
+  if (filters.nearbyZips) {
+    return queryLeadsByDistance(filters, limit, offset);
+  }
+  if (filters.serviceAreaZips) {
+    return queryLeadsInServiceArea(filters, limit, offset);
+  }
+
+  const { zipCode, timeline, propertyType, leadId, minScore, sort, purchasedByCompanyId } = filters;
+  const params = new URLSearchParams({
+    select: LEAD_COLUMNS,
+    review_status: 'eq.approved', // leads in the review queue stay hidden
+    status: 'eq.open', // as do leads the homeowner withdrew or closed
+    order: sort === 'score' ? 'quality_score.desc.nullslast,created_at.desc' : 'created_at.desc',
+    limit: String(limit),
+    offset: String(offset)
+  });
+
+  if (leadId) params.append('id', `eq.${leadId}`);
+  if (zipCode) params.append('zip_code', `eq.${zipCode}`);
+  if (timeline) params.append('timeline', `eq.${timeline}`);
+  if (propertyType) params.append('property_type', `eq.${propertyType}`);
+  if (minScore !== null) params.append('quality_score', `gte.${minScore}`);
+  if (purchasedByCompanyId) params.append('exclusive_purchased_company_id', `eq.${purchasedByCompanyId}`);
+
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/Leads?${params.toString()}`, {
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Prefer': 'count=exact'
     }
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Leads query failed: ${response.status} - ${errorText}`);
+  }
+
+  const rows = await response.json();
 
-    // Check subscription status
-    if (decoded.subscriptionStatus !== 'active') {
-      return { success: false, error: 'Active subscription required' };
+  // Content-Range looks like "0-19/57" (or "*/0" when nothing matches)
+  const contentRange = response.headers.get('content-range') || '';
+  const total = parseInt(contentRange.split('/')[1]);
+
+  return {
+    leads: rows.map(mapLeadRow),
+    total: Number.isNaN(total) ? offset + rows.length : total
+  };
+}
+
+// Radius search. Sorting by distance needs every match, so the matches are
+// sorted here and only the requested page is loaded in full.
+async function queryLeadsByDistance(filters, limit, offset) {
+  const { rows, truncated } = await fetchLeadsInZips([...filters.nearbyZips.keys()], filters);
+  const sorted = sortLeads(sortByDistance(rows.map(mapLeadRow), filters), filters.sort);
+  return {
+    leads: await loadLeadPage(sorted.slice(offset, offset + limit)),
+    total: sorted.length,
+    truncated
+  };
+}
+
+// Service area listing. A ZIP list split across requests can't be sorted or
+// paged by PostgREST, so this sorts and pages the combined matches too.
+async function queryLeadsInServiceArea(filters, limit, offset) {
+  const { rows, truncated } = await fetchLeadsInZips([...filters.serviceAreaZips], filters);
+  const sorted = sortLeads(rows.map(mapLeadRow), filters.sort);
+  return {
+    leads: await loadLeadPage(sorted.slice(offset, offset + limit)),
+    total: sorted.length,
+    truncated
+  };
+}
+
+// Every lead in the given ZIPs, with just the columns needed to sort them.
+// Pushed down as zip_code=in.(...) in chunks, each read a page at a time.
+// truncated is set when more than MAX_ZIP_LIST_RESULTS match.
+async function fetchLeadsInZips(zips, { timeline, propertyType, minScore, purchasedByCompanyId }) {
+  const rows = [];
+
+  for (let i = 0; i < zips.length && rows.length <= MAX_ZIP_LIST_RESULTS; i += ZIP_FILTER_CHUNK_SIZE) {
+    let page;
+    let chunkOffset = 0;
+    do {
+      const params = new URLSearchParams({
+        select: SORT_COLUMNS,
+        zip_code: `in.(${zips.slice(i, i + ZIP_FILTER_CHUNK_SIZE).join(',')})`,
+        review_status: 'eq.approved',
+        status: 'eq.open',
+        order: 'created_at.desc,id.desc',
+        limit: String(ZIP_LIST_PAGE_SIZE),
+        offset: String(chunkOffset)
+      });
+
+      if (timeline) params.append('timeline', `eq.${timeline}`);
+      if (propertyType) params.append('property_type', `eq.${propertyType}`);
+      if (minScore !== null) params.append('quality_score', `gte.${minScore}`);
+      if (purchasedByCompanyId) params.append('exclusive_purchased_company_id', `eq.${purchasedByCompanyId}`);
+
+      page = await fetchLeadRows(params);
+      rows.push(...page);
+      chunkOffset += page.length;
+    } while (page.length === ZIP_LIST_PAGE_SIZE && rows.length <= MAX_ZIP_LIST_RESULTS);
+  }
+
+  return {
+    rows: rows.slice(0, MAX_ZIP_LIST_RESULTS),
+    truncated: rows.length > MAX_ZIP_LIST_RESULTS
+  };
+}
+
+// Full rows for a sorted page of sort-column leads, keeping their order and distanceMiles
+async function loadLeadPage(pageLeads) {
+  if (pageLeads.length === 0) {
+    return [];
+  }
+
+  const params = new URLSearchParams({
+    select: LEAD_COLUMNS,
+    id: `in.(${pageLeads.map(lead => lead.id).join(',')})`
+  });
+  const rowsById = new Map((await fetchLeadRows(params)).map(row => [String(row.id), row]));
+
+  return pageLeads
+    .filter(lead => rowsById.has(String(lead.id)))
+    .map(lead => {
+      const full = mapLeadRow(rowsById.get(String(lead.id)));
+      return lead.distanceMiles === undefined ? full : { ...full, distanceMiles: lead.distanceMiles };
+    });
+}
+
+async function fetchLeadRows(params) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/Leads?${params.toString()}`, {
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`
     }
+  });
 
-    return { 
-      success: true, 
-      user: {
-        userId: decoded.userId,
-        email: decoded.email,
-        companyName: decoded.companyName,
-        subscriptionStatus: decoded.subscriptionStatus
-      }
-    };
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Leads query failed: ${response.status} - ${errorText}`);
+  }
 
-  } catch (error) {
-    console.error('Authentication error:', error);
-    return { success: false, error: 'Invalid token' };
+  return response.json();
+}
+
+// Attach distanceMiles and order nearest first (newest first at the same distance).
+// Leads with coordinates are measured from them; older rows by their ZIP.
+function sortByDistance(leads, { nearbyZips, origin }) {
+  return leads
+    .filter(lead => nearbyZips.has(lead.zipCode))
+    .map(lead => ({
+      ...lead,
+      distanceMiles: origin && lead.latitude !== null && lead.latitude !== undefined
+        ? distanceBetweenPoints(origin, lead)
+        : nearbyZips.get(lead.zipCode)
+    }))
+    .sort((a, b) => a.distanceMiles - b.distanceMiles || new Date(b.created_at) - new Date(a.created_at));
+}
+
+// In-memory sort for leads that were fetched unsorted. 'distance' keeps the
+// order from sortByDistance. Unscored leads go last when sorting by score.
+function sortLeads(leads, sort) {
+  if (sort === 'distance') {
+    return leads;
   }
+  const byNewest = (a, b) => new Date(b.created_at) - new Date(a.created_at);
+  if (sort === 'score') {
+    return [...leads].sort((a, b) => scoreOrNone(b) - scoreOrNone(a) || byNewest(a, b));
+  }
+  return [...leads].sort(byNewest);
 }
 
-// Sanitize lead data before sending to client
-function sanitizeLead(lead, user) {
-  // Calculate if lead is in exclusive window (24 hours)
-  const submissionTime = new Date(lead.created_at);
-  const now = new Date();
-  const hoursSinceSubmission = (now - submissionTime) / (1000 * 60 * 60);
-  const isInExclusiveWindow = hoursSinceSubmission < 24 && !lead.exclusivePurchasedBy;
-  
-  // Determine if user has access to contact information
-  const hasContactAccess = user.subscriptionStatus === 'active' && !lead.exclusivePurchasedBy;
-  
-  // Base lead information (always visible)
-  const sanitizedLead = {
-    id: lead.id,
-    propertyType: lead.propertyType,
+function scoreOrNone(lead) {
+  return lead.qualityScore === null || lead.qualityScore === undefined ? -1 : lead.qualityScore;
+}
+
+// Demo leads are scored the same way as stored ones
+function scoreDemoLead(lead) {
+  const centroid = getZipCentroid(lead.zipCode);
+  const { score, breakdown } = scoreLead({
     timeline: lead.timeline,
-    details: lead.details || '',
-    photos: Array.isArray(lead.photos) ? lead.photos : [],
-    zipCode: lead.zipCode,
-    dateSubmitted: lead.dateSubmitted,
-    price: lead.price || 39.99,
-    isInExclusiveWindow,
-    exclusivePurchasedBy: lead.exclusivePurchasedBy,
-    exclusivePurchaseDate: lead.exclusivePurchaseDate
-  };
+    property_type: lead.propertyType,
+    details: lead.details,
+    photo_urls: lead.photos.join(' '),
+    email: lead.email,
+    phone: lead.phone,
+    street: lead.street,
+    city: lead.city,
+    state: lead.state,
+    latitude: centroid ? centroid.latitude : null
+  });
+  return { ...lead, qualityScore: score, qualityBreakdown: breakdown };
+}
 
-  // Add contact information only if user has access
-  if (hasContactAccess) {
-    sanitizedLead.firstName = lead.firstName;
-    sanitizedLead.lastName = lead.lastName;
-    sanitizedLead.email = lead.email;
-    sanitizedLead.phone = lead.phone;
-    sanitizedLead.address = lead.address;
-  } else {
-    // Hide contact information
-    sanitizedLead.firstName = 'Subscribe';
-    sanitizedLead.lastName = 'to view';
-    sanitizedLead.email = 'subscription@required.com';
-    sanitizedLead.phone = '***-***-****';
-    sanitizedLead.address = 'Subscription required to view address';
+function queryDemoLeads(filters, limit, offset) {
+  const { zipCode, timeline, propertyType, leadId, minScore, nearbyZips, serviceAreaZips } = filters;
+  let filteredLeads = DEMO_LEADS.map(scoreDemoLead);
+
+  if (leadId) {
+    filteredLeads = filteredLeads.filter(lead => String(lead.id) === leadId);
+  }
+  if (timeline) {
+    filteredLeads = filteredLeads.filter(lead => lead.timeline === timeline);
+  }
+  if (propertyType) {
+    filteredLeads = filteredLeads.filter(lead => lead.propertyType === propertyType);
   }
+  if (minScore !== null) {
+    filteredLeads = filteredLeads.filter(lead => lead.qualityScore >= minScore);
+  }
+  if (nearbyZips) {
+    filteredLeads = sortByDistance(filteredLeads, filters);
+  } else if (zipCode) {
+    filteredLeads = filteredLeads.filter(lead => lead.zipCode === zipCode);
+  } else if (serviceAreaZips) {
+    filteredLeads = filteredLeads.filter(lead => serviceAreaZips.has(lead.zipCode));
+  }
+  filteredLeads = sortLeads(filteredLeads, filters.sort);
 
-  return sanitizedLead;
+  return {
+    leads: filteredLeads.slice(offset, offset + limit),
+    total: filteredLeads.length
+  };
 }
@@ -0,0 +1,28 @@
+// netlify/functions/send-deferred-notifications.js
+// Scheduled: sends new-lead alerts that were held back by a company's quiet hours.
+const { sendDeferredNotifications } = require('./lib/lead-notifications');
+
+exports.handler = async (event, context) => {
+  console.log('🔔 Sending deferred notifications');
+
+  try {
+    const summary = await sendDeferredNotifications();
+    console.log('✅ Deferred notifications:', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, ...summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Deferred notifications error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to send deferred notifications' })
+    };
+  }
+};
+
+exports.config = {
+  schedule: '*/15 * * * *'
+};
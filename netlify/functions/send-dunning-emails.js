@@ -0,0 +1,30 @@
+// netlify/functions/send-dunning-emails.js
+// Scheduled: payment reminder and access-paused emails for past-due companies
+// (see lib/dunning.js). The first "payment failed" email is sent by the webhook.
+const { sendDueDunningEmails } = require('./lib/dunning');
+
+exports.handler = async (event, context) => {
+  console.log('💳 Sending dunning emails');
+
+  try {
+    const summary = await sendDueDunningEmails();
+    console.log('✅ Dunning emails:', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, ...summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Dunning email error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to send dunning emails' })
+    };
+  }
+};
+
+// Hourly, so the access-paused email goes out close to the end of the grace period
+exports.config = {
+  schedule: '0 * * * *'
+};
@@ -0,0 +1,29 @@
+// netlify/functions/send-lead-digests.js
+// Scheduled: morning digest emails of new leads (daily, plus weekly on Mondays).
+const { sendLeadDigests } = require('./lib/lead-digest');
+
+exports.handler = async (event, context) => {
+  console.log('📬 Sending lead digests');
+
+  try {
+    const summary = await sendLeadDigests();
+    console.log('✅ Lead digests:', summary);
+
+    return {
+      statusCode: 200,
+      body: JSON.stringify({ success: true, ...summary })
+    };
+
+  } catch (error) {
+    console.error('💥 Lead digest error:', error);
+    return {
+      statusCode: 500,
+      body: JSON.stringify({ error: 'Failed to send lead digests' })
+    };
+  }
+};
+
+// 11:00 UTC is 6-7am Eastern
+exports.config = {
+  schedule: '0 11 * * *'
+};
@@ -0,0 +1,158 @@
+// netlify/functions/service-areas.js
+// A company's service areas.
+//
+// Stored on the Companies row as the text the company typed (service_areas),
+// the parsed form (service_areas_parsed: { zipCodes, counties, cities }) and the
+// ZIP codes those cover (service_area_zips text[]), which leads are matched on.
+//
+// GET                                  -> current service areas
+// POST { serviceAreas: 'Charlotte, NC; Union County; 28105' }
+const { withAuth } = require('./lib/auth');
+const {
+  parseServiceAreas,
+  expandServiceAreaZips,
+  describeServiceAreas,
+  MAX_SERVICE_AREA_ZIPS
+} = require('./lib/service-areas');
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
+  console.log('📍 Service areas function called:', event.httpMethod);
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  if (user.isDemo) {
+    return respond(400, { error: 'Service areas are not available for demo accounts' });
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const company = await findCompanyById(user.userId);
+      if (!company) {
+        return respond(404, { error: 'Company not found' });
+      }
+      return respond(200, {
+        success: true,
+        ...formatServiceAreas(company.service_areas, company.service_areas_parsed, company.service_area_zips)
+      });
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return respond(400, { error: 'Invalid JSON in request body' });
+    }
+
+    const serviceAreas = typeof requestData.serviceAreas === 'string'
+      ? requestData.serviceAreas.replace(/<[^>]*>/g, '').trim().substring(0, 500)
+      : '';
+
+    const { unrecognized, ...parsedAreas } = parseServiceAreas(serviceAreas);
+    const serviceAreaZips = expandServiceAreaZips(parsedAreas);
+
+    if (unrecognized.length > 0) {
+      console.log('❌ Unrecognized service areas:', unrecognized);
+      return respond(400, {
+        error: `We couldn't find: ${unrecognized.join(', ')}. Check the spelling or add a state (e.g. "Charlotte, NC").`,
+        unrecognized
+      });
+    }
+    if (serviceAreaZips.length === 0) {
+      return respond(400, { error: 'Add at least one city, county or ZIP code' });
+    }
+    if (serviceAreaZips.length > MAX_SERVICE_AREA_ZIPS) {
+      return respond(400, { error: `Service areas can cover at most ${MAX_SERVICE_AREA_ZIPS} ZIP codes` });
+    }
+
+    await updateCompany(user.userId, {
+      service_areas: serviceAreas,
+      service_areas_parsed: parsedAreas,
+      service_area_zips: serviceAreaZips,
+      updated_at: new Date().toISOString()
+    });
+
+    console.log(`✅ Service areas updated for ${user.companyName}: ${serviceAreaZips.length} ZIP codes`);
+
+    return respond(200, {
+      success: true,
+      ...formatServiceAreas(serviceAreas, parsedAreas, serviceAreaZips),
+      message: 'Service areas updated'
+    });
+
+  } catch (error) {
+    console.error('💥 Service areas error:', error);
+    return respond(500, {
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}, { corsHeaders, permission: 'service_areas:manage' });
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
+
+function formatServiceAreas(text, parsed, zips) {
+  const areas = parsed || { zipCodes: [], counties: [], cities: [] };
+  return {
+    serviceAreas: text || '',
+    zipCodes: areas.zipCodes || [],
+    counties: areas.counties || [],
+    cities: areas.cities || [],
+    labels: describeServiceAreas(areas),
+    zipCount: Array.isArray(zips) ? zips.length : 0
+  };
+}
+
+async function findCompanyById(companyId) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(companyId)}&select=id,service_areas,service_areas_parsed,service_area_zips`,
+    {
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      }
+    }
+  );
+
+  if (!response.ok) {
+    throw new Error(`Database query failed: ${response.status}`);
+  }
+
+  const companies = await response.json();
+  return companies.length > 0 ? companies[0] : null;
+}
+
+async function updateCompany(companyId, updates) {
+  const response = await fetch(
+    `${process.env.SUPABASE_URL}/rest/v1/Companies?id=eq.${encodeURIComponent(companyId)}`,
+    {
+      method: 'PATCH',
+      headers: {
+        'apikey': process.env.SUPABASE_ANON_KEY,
+        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+        'Content-Type': 'application/json',
+        'Prefer': 'return=minimal'
+      },
+      body: JSON.stringify(updates)
+    }
+  );
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database update failed: ${response.status} - ${errorText}`);
+  }
+}
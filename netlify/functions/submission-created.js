@@ -1,71 +1,47 @@
+// netlify/functions/submission-created.js
+// Runs on every Netlify Forms submission. The form data goes through the same
+// lib/lead-intake.js pipeline as validate-lead-data.js, so a form post can't
+// skip validation or duplicate and spam screening.
+const { intakeLead } = require('./lib/lead-intake');
+
 exports.handler = async (event, context) => {
   console.log('Function triggered!');
-  console.log('Event:', JSON.stringify(event, null, 2));
-  
+
   // Only run for form submissions
   if (event.httpMethod !== 'POST') {
     return { statusCode: 405, body: 'Method Not Allowed' };
   }
 
   try {
-    console.log('Raw event body:', event.body);
-    
-    // Parse the Netlify form submission
-    console.log('Headers:', event.headers);
-    console.log('Raw body:', event.body);
-    
     // Netlify sends webhook data as JSON
     const webhookData = JSON.parse(event.body);
-    const formData = webhookData.payload.data;
-    
-    console.log('Parsed form data:', formData);
-
-    // Extract zip code from address
-    function extractZipCode(address) {
-      if (!address) return '';
-      const zipMatch = address.match(/\b\d{5}(-\d{4})?\b/);
-      return zipMatch ? zipMatch[0] : '';
-    }
-
-    // Create lead object for Supabase
-    const leadData = {
-      first_name: formData.firstName || formData.first_name || '',
-      last_name: formData.lastName || formData.last_name || '',
-      email: formData.email || '',
-      phone: formData.phone || '',
-      address: formData.address || '',
-      zip_code: extractZipCode(formData.address) || '',
-      property_type: formData.propertyType || formData.property_type || '',
-      timeline: formData.timeline || '',
-      details: formData.details || '',
-      photo_urls: formData['photo-urls'] || formData.photo_urls || '',
-      price: 39.99,
-      purchased: false,
-      purchased_by: null,
-      created_at: new Date().toISOString()
-    };
+    const formData = (webhookData.payload && webhookData.payload.data) || {};
 
-    console.log('Sending to Supabase:', leadData);
-
-    // Insert into Supabase
-    const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/Leads`, {
-      method: 'POST',
-      headers: {
-        'apikey': process.env.SUPABASE_ANON_KEY,
-        'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
-        'Content-Type': 'application/json',
-        'Prefer': 'return=minimal'
-      },
-      body: JSON.stringify(leadData)
+    // Netlify adds the submitter's IP to the form data
+    const result = await intakeLead(formData, {
+      source: 'netlify-forms',
+      ipAddress: formData.ip || null
     });
 
-    if (!response.ok) {
-      const errorText = await response.text();
-      console.error('Supabase error:', response.status, errorText);
-      throw new Error(`Supabase error: ${response.status} - ${errorText}`);
+    if (result.status === 'rate_limited') {
+      return {
+        statusCode: 429,
+        body: JSON.stringify({ error: 'Too many submissions' })
+      };
     }
 
-    console.log('Successfully saved lead to database');
+    if (!result.success) {
+      return {
+        statusCode: 400,
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify({
+          error: 'Validation failed',
+          details: result.errors
+        })
+      };
+    }
 
     return {
       statusCode: 200,
@@ -74,7 +50,8 @@ exports.handler = async (event, context) => {
       },
       body: JSON.stringify({ 
         message: 'Lead saved successfully',
-        leadData: leadData 
+        status: result.status,
+        leadId: result.lead.id
       })
     };
 
@@ -0,0 +1,279 @@
+// netlify/functions/team-members.js
+// Team members under a company account.
+//
+// Members are rows in the Supabase CompanyUsers table:
+//   id uuid primary key, company_id, email, first_name, last_name, role,
+//   status ('invited' | 'active' | 'deactivated'), password_hash,
+//   invite_token_hash (SHA-256 of the emailed token, see lib/tokens.js),
+//   invite_expires_at, invited_by, accepted_at, created_at, updated_at,
+//   password_reset_token_hash, password_reset_expires_at (see request-password-reset.js)
+// (plus the same totp_* / recovery_code_hashes columns as Companies).
+//
+// GET                                              -> owner plus all members
+// POST { action: 'invite', email, firstName, lastName, role } -> { member, message, inviteEmailSent }
+// POST { action: 'update_role', memberId, role }
+// POST { action: 'remove', memberId }
+const { withAuth } = require('./lib/auth');
+const { canAssignRole } = require('./lib/roles');
+const { generateVerificationToken, hashToken } = require('./lib/tokens');
+const { revokeAllSessions } = require('./lib/sessions');
+const { sendTemplateEmail } = require('./lib/mailer');
+
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+const corsHeaders = {
+  'Content-Type': 'application/json',
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CSRF-Token',
+  'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+};
+
+exports.handler = withAuth(async (event, context, user) => {
+  console.log('👥 Team members function called:', event.httpMethod);
+
+  if (!['GET', 'POST'].includes(event.httpMethod)) {
+    return respond(405, { error: 'Method not allowed' });
+  }
+
+  if (user.isDemo) {
+    return respond(400, { error: 'Team members are not available for demo accounts' });
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      return await listMembers(user);
+    }
+
+    let requestData;
+    try {
+      requestData = JSON.parse(event.body || '{}');
+    } catch (parseError) {
+      return respond(400, { error: 'Invalid JSON in request body' });
+    }
+
+    switch (requestData.action) {
+      case 'invite':
+        return await inviteMember(user, requestData);
+      case 'update_role':
+        return await updateMemberRole(user, requestData);
+      case 'remove':
+        return await removeMember(user, requestData);
+      default:
+        return respond(400, { error: 'Unknown action' });
+    }
+
+  } catch (error) {
+    console.error('💥 Team members error:', error);
+    return respond(500, {
+      error: 'Internal server error',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+}, { corsHeaders, permission: 'team:manage' });
+
+function respond(statusCode, body) {
+  return {
+    statusCode,
+    headers: corsHeaders,
+    body: JSON.stringify(body)
+  };
+}
+
+async function listMembers(user) {
+  const company = await findCompanyById(user.userId);
+  const members = await supabaseRequest(
+    `CompanyUsers?company_id=eq.${encodeURIComponent(user.userId)}&status=neq.deactivated&select=id,email,first_name,last_name,role,status,invite_expires_at,accepted_at,created_at&order=created_at.asc`
+  );
+
+  const team = [
+    {
+      id: null,
+      email: company ? company.email : null,
+      firstName: company ? company.first_name : null,
+      lastName: company ? company.last_name : null,
+      role: 'owner',
+      status: 'active'
+    },
+    ...members.map(member => ({
+      id: member.id,
+      email: member.email,
+      firstName: member.first_name,
+      lastName: member.last_name,
+      role: member.role,
+      status: member.status === 'invited' && new Date(member.invite_expires_at).getTime() < Date.now()
+        ? 'invite_expired'
+        : member.status,
+      acceptedAt: member.accepted_at,
+      invitedAt: member.created_at
+    }))
+  ];
+
+  return respond(200, { success: true, members: team });
+}
+
+async function inviteMember(user, { email, firstName, lastName, role }) {
+  const cleanEmail = typeof email === 'string' ? email.toLowerCase().trim() : '';
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(cleanEmail) || cleanEmail.length > 254) {
+    return respond(400, { error: 'A valid email address is required' });
+  }
+
+  if (!canAssignRole(user.role, role)) {
+    return respond(403, { error: `You can't invite a member with the ${role} role` });
+  }
+
+  // Emails sign in to exactly one account
+  const existingCompany = await supabaseRequest(`Companies?email=eq.${encodeURIComponent(cleanEmail)}&select=id`);
+  const existingMember = await supabaseRequest(`CompanyUsers?email=eq.${encodeURIComponent(cleanEmail)}&select=id,company_id,status`);
+  const reinvite = existingMember.find(member =>
+    String(member.company_id) === String(user.userId) && member.status !== 'active'
+  );
+
+  if (existingCompany.length > 0 || (existingMember.length > 0 && !reinvite)) {
+    return respond(409, { error: 'This email already has an Estate Sale Connect account' });
+  }
+
+  const inviteToken = generateVerificationToken();
+  const now = new Date();
+  const memberData = {
+    company_id: user.userId,
+    email: cleanEmail,
+    first_name: sanitizeName(firstName),
+    last_name: sanitizeName(lastName),
+    role: role,
+    status: 'invited',
+    password_hash: null,
+    invite_token_hash: hashToken(inviteToken),
+    invite_expires_at: new Date(now.getTime() + INVITE_TTL_MS).toISOString(),
+    invited_by: user.memberId || null,
+    accepted_at: null,
+    updated_at: now.toISOString()
+  };
+
+  // A removed or expired member is invited again on the same row
+  const saved = reinvite
+    ? await supabaseRequest(`CompanyUsers?id=eq.${encodeURIComponent(reinvite.id)}`, 'PATCH', memberData)
+    : await supabaseRequest('CompanyUsers', 'POST', { ...memberData, created_at: now.toISOString() });
+
+  const emailResult = await sendInviteEmail(cleanEmail, memberData.first_name, user.companyName, role, inviteToken);
+  if (!emailResult.success) {
+    // Don't fail the invite - inviting the same email again resends it
+    console.log('⚠️ Invite email failed:', emailResult.error);
+  }
+
+  console.log('✅ Invited', cleanEmail, 'as', role, 'to', user.companyName);
+
+  return respond(201, {
+    success: true,
+    member: {
+      id: saved[0] ? saved[0].id : null,
+      email: cleanEmail,
+      role: role,
+      status: 'invited'
+    },
+    message: emailResult.success
+      ? `Invitation sent to ${cleanEmail}`
+      : `${cleanEmail} was added, but we couldn't send the invitation email. Invite them again to resend it.`,
+    inviteEmailSent: emailResult.success
+  });
+}
+
+async function updateMemberRole(user, { memberId, role }) {
+  const member = await findMember(user, memberId);
+  if (!member) {
+    return respond(404, { error: 'Team member not found' });
+  }
+
+  // Both the current and the new role must be ones the caller could assign
+  if (!canAssignRole(user.role, member.role) || !canAssignRole(user.role, role)) {
+    return respond(403, { error: "You can't change this member's role" });
+  }
+
+  await supabaseRequest(`CompanyUsers?id=eq.${encodeURIComponent(member.id)}`, 'PATCH', {
+    role: role,
+    updated_at: new Date().toISOString()
+  });
+
+  // Role is a token claim, so existing sessions have to sign in again
+  await revokeAllSessions(user.userId, member.id);
+  console.log('✅ Role changed for', member.email, 'to', role);
+
+  return respond(200, { success: true, message: 'Role updated' });
+}
+
+async function removeMember(user, { memberId }) {
+  const member = await findMember(user, memberId);
+  if (!member) {
+    return respond(404, { error: 'Team member not found' });
+  }
+
+  if (!canAssignRole(user.role, member.role)) {
+    return respond(403, { error: "You can't remove this member" });
+  }
+
+  await supabaseRequest(`CompanyUsers?id=eq.${encodeURIComponent(member.id)}`, 'PATCH', {
+    status: 'deactivated',
+    invite_token_hash: null,
+    updated_at: new Date().toISOString()
+  });
+
+  await revokeAllSessions(user.userId, member.id);
+  console.log('✅ Removed team member:', member.email);
+
+  return respond(200, { success: true, message: 'Team member removed' });
+}
+
+async function findMember(user, memberId) {
+  if (!memberId || typeof memberId !== 'string') {
+    return null;
+  }
+
+  const members = await supabaseRequest(
+    `CompanyUsers?id=eq.${encodeURIComponent(memberId)}&company_id=eq.${encodeURIComponent(user.userId)}&status=neq.deactivated&select=id,email,role,status`
+  );
+  return members.length > 0 ? members[0] : null;
+}
+
+// Find company by ID
+async function findCompanyById(companyId) {
+  const companies = await supabaseRequest(
+    `Companies?id=eq.${encodeURIComponent(companyId)}&select=id,email,first_name,last_name,company_name`
+  );
+  return companies.length > 0 ? companies[0] : null;
+}
+
+async function supabaseRequest(path, method = 'GET', body = null) {
+  const response = await fetch(`${process.env.SUPABASE_URL}/rest/v1/${path}`, {
+    method: method,
+    headers: {
+      'apikey': process.env.SUPABASE_ANON_KEY,
+      'Authorization': `Bearer ${process.env.SUPABASE_ANON_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    },
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    throw new Error(`Database request failed: ${response.status} - ${errorText}`);
+  }
+
+  return response.json();
+}
+
+function sanitizeName(input) {
+  if (typeof input !== 'string') return null;
+  const cleaned = input.replace(/<[^>]*>/g, '').trim().substring(0, 50);
+  return cleaned || null;
+}
+
+// Send team invite email
+async function sendInviteEmail(email, firstName, companyName, role, inviteToken) {
+  return sendTemplateEmail('teamInvite', email, {
+    firstName: firstName || 'there',
+    companyName,
+    roleWithArticle: `${role === 'admin' ? 'an' : 'a'} ${role}`,
+    inviteUrl: `${process.env.URL}/company-accept-invite.html?token=${inviteToken}`
+  });
+}
@@ -1,4 +1,6 @@
 // netlify/functions/verify-email.js
+const { sendTemplateEmail } = require('./lib/mailer');
+
 exports.handler = async (event, context) => {
   console.log('📧 Email verification function called');
   console.log('Method:', event.httpMethod);
@@ -140,10 +142,9 @@ exports.handler = async (event, context) => {
     console.log('✅ Email verification completed successfully');
 
     // Send welcome email (optional)
-    try {
-      await sendWelcomeEmail(company.email, company.first_name, company.company_name);
-    } catch (emailError) {
-      console.log('⚠️ Welcome email failed (non-critical):', emailError.message);
+    const welcomeResult = await sendWelcomeEmail(company.email, company.first_name, company.company_name);
+    if (!welcomeResult.success) {
+      console.log('⚠️ Welcome email failed (non-critical):', welcomeResult.error);
       // Don't fail the verification if welcome email fails
     }
 
@@ -266,53 +267,11 @@ async function updateCompanyVerification(companyId) {
 
 // Send welcome email after verification
 async function sendWelcomeEmail(email, firstName, companyName) {
-  try {
-    console.log('📧 Sending welcome email to:', email);
-
-    // TODO: Implement actual email sending with your email service
-    // For now, just log what would be sent
-    
-    const emailContent = {
-      to: email,
-      subject: `Welcome to Estate Sale Connect, ${companyName}!`,
-      body: `
-        Hi ${firstName},
-
-        Congratulations! Your email has been successfully verified and your Estate Sale Connect account is now active.
-
-        What's Next:
-        1. Our team will review your business information within 1-2 business days
-        2. Once approved, you'll receive full access to browse and purchase leads
-        3. Your 7-day free trial will begin immediately upon approval
-        4. You can sign in anytime at: ${process.env.URL}/company-signin.html
-
-        While you wait for approval, feel free to:
-        - Explore your dashboard
-        - Update your company profile
-        - Review our lead pricing and policies
-
-        If you have any questions, our support team is here to help at info@estatesaleconnect.com
-
-        Welcome to the Estate Sale Connect family!
-
-        Best regards,
-        The Estate Sale Connect Team
-      `
-    };
-
-    console.log('Welcome email prepared:', emailContent.subject);
-
-    // In production, replace this with actual email service call
-    // Examples: SendGrid, Mailgun, AWS SES, etc.
-
-    return {
-      success: true
-    };
-
-  } catch (error) {
-    console.error('Welcome email error:', error);
-    throw error;
-  }
+  return sendTemplateEmail('welcome', email, {
+    firstName,
+    companyName,
+    signinUrl: `${process.env.URL}/company-signin.html`
+  });
 }
 
 // Helper function to sanitize input
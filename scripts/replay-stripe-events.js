@@ -0,0 +1,63 @@
+#!/usr/bin/env node
+// scripts/replay-stripe-events.js
+// Re-runs Stripe webhook events recorded as failed in the stripe_events table.
+//
+//   node scripts/replay-stripe-events.js              replay every failed event
+//   node scripts/replay-stripe-events.js evt_123 ...  replay specific events
+//
+// An event id that was never recorded (e.g. the webhook was down) is fetched
+// from Stripe. Already-processed events are skipped.
+// Needs SUPABASE_URL, SUPABASE_ANON_KEY and STRIPE_SECRET_KEY - use
+// `netlify dev:exec node scripts/replay-stripe-events.js` to load the site's env.
+const { processStripeEvent, findEvent, listFailedEvents } = require('../netlify/functions/lib/stripe-events');
+
+async function loadEvents(eventIds) {
+  if (eventIds.length === 0) {
+    const failed = await listFailedEvents();
+    return failed.map(row => row.payload);
+  }
+
+  const events = [];
+  for (const eventId of eventIds) {
+    const recorded = await findEvent(eventId);
+    if (recorded) {
+      events.push(recorded.payload);
+    } else {
+      const stripe = require('stripe')(process.env.STRIPE_SECRET_KEY);
+      events.push(await stripe.events.retrieve(eventId));
+    }
+  }
+  return events;
+}
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+    console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY must be set');
+    process.exit(1);
+  }
+
+  const events = await loadEvents(process.argv.slice(2));
+  if (events.length === 0) {
+    console.log('✅ No failed events to replay');
+    return;
+  }
+
+  let failures = 0;
+  for (const stripeEvent of events) {
+    try {
+      const result = await processStripeEvent(stripeEvent);
+      console.log(`✅ ${stripeEvent.id} (${stripeEvent.type}): ${result.status}`);
+    } catch (error) {
+      failures++;
+      console.error(`❌ ${stripeEvent.id} (${stripeEvent.type}): ${error.message}`);
+    }
+  }
+
+  console.log(`Replayed ${events.length} event(s), ${failures} failed`);
+  process.exitCode = failures > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('💥 Replay failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,64 @@
+#!/usr/bin/env node
+// scripts/review-leads.js
+// Works the lead review queue: leads flagged as possible spam at intake
+// (honeypot, too-fast submissions) wait here instead of reaching the portal.
+//
+//   node scripts/review-leads.js                  list leads waiting for review
+//   node scripts/review-leads.js approve 12 ...   release leads and alert matched companies
+//   node scripts/review-leads.js reject 12 ...    keep leads out of the portal for good
+//
+// Needs SUPABASE_URL and SUPABASE_ANON_KEY, plus the email/SMS settings for
+// alerts - use `netlify dev:exec node scripts/review-leads.js` to load the site's env.
+const { listLeadsForReview, approveLead, rejectLead } = require('../netlify/functions/lib/lead-intake');
+
+async function listQueue() {
+  const leads = await listLeadsForReview();
+  if (leads.length === 0) {
+    console.log('✅ No leads waiting for review');
+    return;
+  }
+
+  for (const lead of leads) {
+    console.log(`#${lead.id}  ${lead.created_at}  [${(lead.review_reasons || []).join(', ')}]  IP ${lead.submitter_ip || 'unknown'}`);
+    console.log(`    ${lead.first_name} ${lead.last_name} <${lead.email}> ${lead.phone}`);
+    console.log(`    ${lead.address}`);
+    console.log(`    ${(lead.details || '').substring(0, 120)}`);
+  }
+  console.log(`${leads.length} lead(s) waiting for review`);
+}
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+    console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY must be set');
+    process.exit(1);
+  }
+
+  const [action, ...leadIds] = process.argv.slice(2);
+  if (!action) {
+    await listQueue();
+    return;
+  }
+
+  if (!['approve', 'reject'].includes(action) || leadIds.length === 0) {
+    console.error('Usage: node scripts/review-leads.js [approve|reject <leadId> ...]');
+    process.exit(1);
+  }
+
+  let missing = 0;
+  for (const leadId of leadIds) {
+    const lead = action === 'approve' ? await approveLead(leadId) : await rejectLead(leadId);
+    if (lead) {
+      console.log(`✅ Lead ${leadId} ${action === 'approve' ? 'approved' : 'rejected'}`);
+    } else {
+      missing++;
+      console.error(`❌ Lead ${leadId} is not waiting for review`);
+    }
+  }
+
+  process.exitCode = missing > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error('💥 Review failed:', error);
+  process.exit(1);
+});
@@ -0,0 +1,36 @@
+#!/usr/bin/env node
+// scripts/score-leads.js
+// Scores leads that were saved before lead scoring existed. New leads are
+// scored at intake (see netlify/functions/lib/lead-scoring.js), so this only
+// needs to run once; running it again is harmless.
+//
+//   node scripts/score-leads.js
+//
+// Needs SUPABASE_URL and SUPABASE_ANON_KEY - use
+// `netlify dev:exec node scripts/score-leads.js` to load the site's env.
+const { findUnscoredLeadIds, rescoreLead } = require('../netlify/functions/lib/lead-scoring');
+
+async function main() {
+  if (!process.env.SUPABASE_URL || !process.env.SUPABASE_ANON_KEY) {
+    console.error('❌ SUPABASE_URL and SUPABASE_ANON_KEY must be set');
+    process.exit(1);
+  }
+
+  let scored = 0;
+  let leadIds = await findUnscoredLeadIds();
+  while (leadIds.length > 0) {
+    for (const leadId of leadIds) {
+      const score = await rescoreLead(leadId);
+      console.log(`✅ Lead ${leadId} scored ${score}`);
+      scored++;
+    }
+    leadIds = await findUnscoredLeadIds();
+  }
+
+  console.log(`${scored} lead(s) scored`);
+}
+
+main().catch(error => {
+  console.error('💥 Lead scoring failed:', error);
+  process.exit(1);
+});